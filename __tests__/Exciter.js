@@ -83,6 +83,15 @@ test('buildExpressionPlaceholdersValue', () => {
   });
 });
 
+test('buildExpressionPlaceholdersExists', () => {
+  const conditions = [
+    { name: 'yup', operator: 'exists', value: true },
+    { name: 'thing', operator: '=', value: 'foo' },
+  ];
+  expect(Exciter.buildExpressionPlaceholders(conditions, ':')).toEqual({ ':thing': 'foo' });
+  expect(Exciter.buildExpressionPlaceholders(conditions, '#')).toEqual({ '#yup': 'yup', '#thing': 'thing' });
+});
+
 test('buildExpressionPlaceholdersName', () => {
   const object = [
     { name: 'key', value: 'value' },
@@ -147,10 +156,11 @@ test('deleteFailReject', (done) => {
 test('createProxy', (done) => {
   expect.assertions(2);
   const putSpy = jest.spyOn(exciter, 'put').mockImplementation(() => Promise.resolve());
-  return exciter.create({}, { key: 'stuff' }, 'table')
+  const options = { conditions: {} };
+  return exciter.create({}, { key: 'stuff' }, 'table', options)
     .then(() => {
       expect(putSpy).toHaveBeenCalledTimes(1);
-      expect(putSpy).toHaveBeenCalledWith({}, { key: 'stuff' }, 'table', true);
+      expect(putSpy).toHaveBeenCalledWith({}, { key: 'stuff' }, 'table', true, options);
     })
     .catch(err => expect(err).toBeUndefined())
     .then(() => {
@@ -162,10 +172,11 @@ test('createProxy', (done) => {
 test('updateProxy', (done) => {
   expect.assertions(2);
   const patchSpy = jest.spyOn(exciter, 'patch').mockImplementation(() => Promise.resolve());
-  return exciter.update({}, {}, 'table')
+  const options = { conditions: {} };
+  return exciter.update({}, {}, 'table', options)
     .then(() => {
       expect(patchSpy).toHaveBeenCalledTimes(1);
-      expect(patchSpy).toHaveBeenCalledWith({}, {}, 'table');
+      expect(patchSpy).toHaveBeenCalledWith({}, {}, 'table', options);
     })
     .catch(err => expect(err).toBeUndefined())
     .then(() => {
@@ -315,262 +326,1830 @@ test('patchFailReject', (done) => {
     });
 });
 
-test('load', (done) => {
-  expect.assertions(1);
-  const pk = {
-    userId: '123456',
-    uuid: '123-123-123',
+test('patchOperators', (done) => {
+  expect.assertions(3);
+  const pk = { userId: '123456' };
+  const data = {
+    title: 'Exciting',
+    $inc: { views: 1, 'stats.shares': -2 },
+    $add: { tags: ['new'], score: 5 },
+    $append: { history: { event: 'viewed' } },
+    $remove: ['draft', 'stats.stale'],
+    $delete: { labels: ['old'] },
+    $ifNotExists: { firstViewed: 0 },
   };
-  const expected = { some: 'ExpectedThing' };
-  sinon.stub(exciter.dynamo, 'get').callsFake(awsPromiseResolve(expected));
-  return exciter.load(pk, 'fake')
-    .then((res) => {
-      expect(res).toEqual(expected);
-    })
-    .catch((err) => {
-      expect(err).toBeUndefined();
+  const updateStub = sinon.stub(exciter.dynamo, 'update').callsFake(awsPromiseResolve({}));
+  return exciter.patch(data, pk, 'fake')
+    .then(() => {
+      const params = updateStub.firstCall.args[0];
+      expect(params.UpdateExpression).toEqual('SET #title = :title, #inc_views_views = if_not_exists(#inc_views_views, :inc_views_default) + :inc_views, #inc_stats_shares_stats.#inc_stats_shares_shares = if_not_exists(#inc_stats_shares_stats.#inc_stats_shares_shares, :inc_stats_shares_default) + :inc_stats_shares, #append_history_history = list_append(if_not_exists(#append_history_history, :append_history_default), :append_history), #ifNotExists_firstViewed_firstViewed = if_not_exists(#ifNotExists_firstViewed_firstViewed, :ifNotExists_firstViewed) REMOVE #remove_draft_draft, #remove_stats_stale_stats.#remove_stats_stale_stale ADD #add_tags_tags :add_tags, #add_score_score :add_score DELETE #delete_labels_labels :delete_labels');
+      expect(params.ExpressionAttributeNames).toEqual({
+        '#title': 'title',
+        '#inc_views_views': 'views',
+        '#inc_stats_shares_stats': 'stats',
+        '#inc_stats_shares_shares': 'shares',
+        '#add_tags_tags': 'tags',
+        '#add_score_score': 'score',
+        '#append_history_history': 'history',
+        '#remove_draft_draft': 'draft',
+        '#remove_stats_stale_stats': 'stats',
+        '#remove_stats_stale_stale': 'stale',
+        '#delete_labels_labels': 'labels',
+        '#ifNotExists_firstViewed_firstViewed': 'firstViewed',
+      });
+      expect(params.ExpressionAttributeValues).toEqual({
+        ':title': 'Exciting',
+        ':inc_views': 1,
+        ':inc_views_default': 0,
+        ':inc_stats_shares': -2,
+        ':inc_stats_shares_default': 0,
+        ':add_tags': exciter.dynamo.createSet(['new']),
+        ':add_score': 5,
+        ':append_history': [{ event: 'viewed' }],
+        ':append_history_default': [],
+        ':delete_labels': exciter.dynamo.createSet(['old']),
+        ':ifNotExists_firstViewed': 0,
+      });
     })
+    .catch(err => expect(err).toBeUndefined())
     .then(() => {
-      exciter.dynamo.get.restore();
+      updateStub.restore();
       done();
     });
 });
 
-test('loadError', (done) => {
+test('patchOperatorsRemoveOnly', (done) => {
   expect.assertions(1);
-  const pk = {
-    userId: '123456',
-    uuid: '123-123-123',
-  };
-  const expectedMessage = 'Dynamo had a sad.';
-  sinon.stub(exciterAllowReject.dynamo, 'get').callsFake(awsPromiseReject(new Error(expectedMessage)));
-  return exciterAllowReject.load(pk, 'fake')
-    .then(res => expect(res).toBeUndefined())
-    .catch((err) => {
-      expect(err.message).toEqual(expectedMessage);
-      exciterAllowReject.dynamo.get.restore();
+  const updateStub = sinon.stub(exciter.dynamo, 'update').callsFake(awsPromiseResolve({}));
+  return exciter.patch({ $remove: 'draft' }, { userId: '123456' }, 'fake')
+    .then(() => {
+      expect(updateStub.firstCall.args[0]).toEqual({
+        TableName: 'fake',
+        Key: { userId: '123456' },
+        UpdateExpression: 'REMOVE #remove_draft_draft',
+        ExpressionAttributeNames: { '#remove_draft_draft': 'draft' },
+      });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      updateStub.restore();
       done();
     });
 });
 
-test('catchHandler', (done) => {
+test('patchOperatorsInvalid', (done) => {
   expect.assertions(2);
-  const error = new Error('This is bad.');
-  return exciter.catchHandler(error)
-    .catch(err => expect(err).toBeUndefined())
-    .then(() => {
-      expect(true).toBe(true);
-      return exciterAllowReject.catchHandler(error);
-    })
+  return exciterAllowReject.patch({ $push: { tags: 'new' } }, { userId: '123456' }, 'fake')
     .then(res => expect(res).toBeUndefined())
-    .catch(err => expect(err.message).toEqual(error.message))
+    .catch(err => expect(err.message).toEqual('Unsupported update operator: $push. Allowed operators: $inc, $add, $append, $remove, $delete, $ifNotExists.'))
+    .then(() => exciterAllowReject.patch({ $inc: { views: '1' } }, { userId: '123456' }, 'fake'))
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('Cannot increment "views" by 1. Increments must be numbers.'))
     .then(done);
 });
 
+test('patchOperatorsPlaceholderCollision', (done) => {
+  expect.assertions(3);
+  const updateStub = sinon.stub(exciter.dynamo, 'update').callsFake(awsPromiseResolve({}));
+  return exciter.patch({ inc_views: 5, $inc: { views: 1 } }, { userId: '123456' }, 'fake')
+    .then(() => {
+      const params = updateStub.firstCall.args[0];
+      expect(params.UpdateExpression).toEqual('SET #inc_views = :inc_views, #inc_views_1_views = if_not_exists(#inc_views_1_views, :inc_views_1_default) + :inc_views_1');
+      expect(params.ExpressionAttributeNames).toEqual({
+        '#inc_views': 'inc_views',
+        '#inc_views_1_views': 'views',
+      });
+      expect(params.ExpressionAttributeValues).toEqual({
+        ':inc_views': 5,
+        ':inc_views_1': 1,
+        ':inc_views_1_default': 0,
+      });
+      updateStub.restore();
+    })
+    .then(done);
+});
 
-test('querySuccess', (done) => {
-  expect.assertions(1);
-  const pk = {
-    userId: '123456',
-    uuid: '123-123-123',
-  };
-  const expected = { expected: 'thing' };
-  const stub = sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseResolve(expected));
-  return exciterAllowReject.query(pk, 'fake')
-    .then((res) => {
-      expect(res).toEqual(expected);
-      sinon.assert.calledWith(stub, {
-        KeyConditionExpression: '((#userId = :userId) AND (#uuid = :uuid))',
-        ExpressionAttributeValues: {
-          ':userId': '123456',
-          ':uuid': '123-123-123',
-        },
+test('patchEmptyValues', (done) => {
+  expect.assertions(3);
+  const pk = { userId: '123456' };
+  const data = { title: '', tags: [], owner: null, status: 'draft', skipped: undefined };
+  const updateStub = sinon.stub(exciter.dynamo, 'update').callsFake(awsPromiseResolve({}));
+  return exciter.patch(data, pk, 'fake')
+    .then(() => {
+      expect(updateStub.firstCall.args[0]).toEqual({
+        TableName: 'fake',
+        Key: pk,
+        UpdateExpression: 'SET #owner = :owner, #status = :status',
+        ExpressionAttributeNames: { '#owner': 'owner', '#status': 'status' },
+        ExpressionAttributeValues: { ':owner': null, ':status': 'draft' },
+      });
+      return exciter.patch(_.assign({ $remove: 'title' }, data), pk, 'fake', { emptyValues: 'remove' });
+    })
+    .then(() => {
+      expect(updateStub.secondCall.args[0]).toEqual({
+        TableName: 'fake',
+        Key: pk,
+        UpdateExpression: 'SET #status = :status REMOVE #remove_title_title, #remove_tags_tags, #remove_owner_owner',
         ExpressionAttributeNames: {
-          '#userId': 'userId',
-          '#uuid': 'uuid',
+          '#status': 'status',
+          '#remove_title_title': 'title',
+          '#remove_tags_tags': 'tags',
+          '#remove_owner_owner': 'owner',
         },
-        TableName: 'fake',
-        Limit: 10,
-        ScanIndexForward: true,
+        ExpressionAttributeValues: { ':status': 'draft' },
       });
+      return exciter.patch(data, pk, 'fake', { emptyValues: { string: 'store', null: 'remove' } });
+    })
+    .then(() => {
+      expect(updateStub.thirdCall.args[0].UpdateExpression).toEqual('SET #title = :title, #status = :status REMOVE #remove_owner_owner');
     })
     .catch(err => expect(err).toBeUndefined())
     .then(() => {
-      exciterAllowReject.dynamo.query.restore();
+      updateStub.restore();
       done();
     });
 });
 
-test('queryError', (done) => {
+test('putEmptyValues', (done) => {
+  expect.assertions(3);
+  const configured = new Exciter({}, true, { tables: { fake: { emptyValues: { string: 'drop' } } } });
+  const putStub = sinon.stub(configured.dynamo, 'put').callsFake(awsPromiseResolve({}));
+  const data = { title: '', tags: [], owner: null, skipped: undefined };
+  // Puts store empty values unless a policy says otherwise.
+  return configured.put(data, { userId: '123456' }, 'other')
+    .then(() => {
+      expect(putStub.firstCall.args[0].Item).toEqual({ title: '', tags: [], owner: null, userId: '123456' });
+      return configured.put(data, { userId: '123456' }, 'fake');
+    })
+    .then(() => {
+      expect(putStub.secondCall.args[0].Item).toEqual({ tags: [], owner: null, userId: '123456' });
+      return configured.put(data, { userId: '123456' }, 'fake', false, { emptyValues: 'remove' });
+    })
+    .then(() => {
+      expect(putStub.thirdCall.args[0].Item).toEqual({ userId: '123456' });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
+
+test('putEmptyValuesInvalid', (done) => {
   expect.assertions(1);
-  const pk = {
-    userId: '123456',
-    uuid: '123-123-123',
+  return exciterAllowReject.put({ title: '' }, { userId: '123456' }, 'fake', false, { emptyValues: { string: 'erase' } })
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('Unsupported empty value policy: erase. Allowed policies: drop, remove, store.'))
+    .then(done);
+});
+
+test('patchDeep', (done) => {
+  expect.assertions(3);
+  const pk = { userId: '123456' };
+  const data = {
+    profile: { address: { city: 'Halifax', zip: '' }, tags: [], meta: {} },
+    title: 'Exciting',
   };
-  const expectedMessage = 'Dynamo had a sad.';
-  sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseReject(new Error(expectedMessage)));
-  return exciterAllowReject.query(pk, 'fake')
-    .catch(err => expect(err.message).toEqual(expectedMessage))
+  const updateStub = sinon.stub(exciter.dynamo, 'update').callsFake(awsPromiseResolve({}));
+  return exciter.patch(data, pk, 'fake', { deep: true, emptyValues: 'remove' })
     .then(() => {
-      exciterAllowReject.dynamo.query.restore();
+      const params = updateStub.firstCall.args[0];
+      expect(params.UpdateExpression).toEqual('SET #profile_address_city_profile.#profile_address_city_address.#profile_address_city_city = :profile_address_city, #profile_meta_profile.#profile_meta_meta = :profile_meta, #title = :title REMOVE #remove_profile_address_zip_profile.#remove_profile_address_zip_address.#remove_profile_address_zip_zip, #remove_profile_tags_profile.#remove_profile_tags_tags');
+      expect(params.ExpressionAttributeNames).toEqual({
+        '#profile_address_city_profile': 'profile',
+        '#profile_address_city_address': 'address',
+        '#profile_address_city_city': 'city',
+        '#profile_meta_profile': 'profile',
+        '#profile_meta_meta': 'meta',
+        '#title': 'title',
+        '#remove_profile_address_zip_profile': 'profile',
+        '#remove_profile_address_zip_address': 'address',
+        '#remove_profile_address_zip_zip': 'zip',
+        '#remove_profile_tags_profile': 'profile',
+        '#remove_profile_tags_tags': 'tags',
+      });
+      expect(params.ExpressionAttributeValues).toEqual({
+        ':profile_address_city': 'Halifax',
+        ':profile_meta': {},
+        ':title': 'Exciting',
+      });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      updateStub.restore();
       done();
     });
 });
 
-test('queryNoUngroupped', (done) => {
-  expect.assertions(1);
-  const pk = {
-    userId: '123456',
-    uuid: '123-123-123',
-  };
-  const filters = {
-    andGroup: {
-      group: {
-        conjunction: 'OR',
-      },
-    },
-    firstGroupedFilter: {
-      condition: {
-        path: 'first',
-        value: 'one',
-        memberOf: 'andGroup',
-      },
-    },
-    secondGroupedFilter: {
-      condition: {
-        path: 'second',
-        value: 'two',
-        memberOf: 'andGroup',
-      },
-    },
-  };
-  const expected = { expected: 'thing' };
-  const dynamoQuery = {
-    startKey: pk,
-    rawFilters: filters,
-    select: 'ALL_ATTRIBUTES',
-  };
-  const stub = sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseResolve(expected));
-  return exciterAllowReject.query(pk, 'fake', dynamoQuery)
-    .then((res) => {
-      expect(res).toEqual(expected);
-      sinon.assert.calledWith(stub, {
-        KeyConditionExpression: '((#userId = :userId) AND (#uuid = :uuid))',
-        FilterExpression: '((#firstGroupedFilter_first = :firstGroupedFilter) OR (#secondGroupedFilter_second = :secondGroupedFilter))',
+test('patchDeepPlaceholderCollision', (done) => {
+  expect.assertions(3);
+  const updateStub = sinon.stub(exciter.dynamo, 'update').callsFake(awsPromiseResolve({}));
+  return exciter.patch({ a: { b: 1 }, a_b: 2 }, { userId: '123456' }, 'fake', { deep: true })
+    .then(() => {
+      const params = updateStub.firstCall.args[0];
+      expect(params.UpdateExpression).toEqual('SET #a_b_a.#a_b_b = :a_b, #a_b_1_a_b = :a_b_1');
+      expect(params.ExpressionAttributeNames).toEqual({
+        '#a_b_a': 'a',
+        '#a_b_b': 'b',
+        '#a_b_1_a_b': 'a_b',
+      });
+      expect(params.ExpressionAttributeValues).toEqual({ ':a_b': 1, ':a_b_1': 2 });
+      updateStub.restore();
+    })
+    .then(done);
+});
+
+test('patchCreateMissing', (done) => {
+  expect.assertions(4);
+  const pk = { userId: '123456' };
+  const data = { profile: { address: { city: 'Halifax' } }, $inc: { 'stats.views': 1 } };
+  const conditions = { status: { condition: 'draft' } };
+  const invalidPath = new Error('The document path provided in the update expression is invalid for update');
+  invalidPath.code = 'ValidationException';
+  const updateStub = sinon.stub(exciterAllowReject.dynamo, 'update').callsFake(awsPromiseResolve({}));
+  updateStub.onFirstCall().callsFake(awsPromiseReject(invalidPath));
+  return exciterAllowReject.patch(data, pk, 'fake', { deep: true, createMissing: true, conditions })
+    .then(() => {
+      const condition = {
+        ConditionExpression: '(#condition_status_status = :condition_status)',
+      };
+      expect(updateStub.callCount).toEqual(4);
+      expect(updateStub.secondCall.args[0]).toEqual(_.assign({
+        TableName: 'fake',
+        Key: pk,
+        UpdateExpression: 'SET #ifNotExists_profile_profile = if_not_exists(#ifNotExists_profile_profile, :ifNotExists_profile), #ifNotExists_stats_stats = if_not_exists(#ifNotExists_stats_stats, :ifNotExists_stats)',
+        ExpressionAttributeNames: {
+          '#ifNotExists_profile_profile': 'profile',
+          '#ifNotExists_stats_stats': 'stats',
+          '#condition_status_status': 'status',
+        },
         ExpressionAttributeValues: {
-          ':userId': '123456',
-          ':uuid': '123-123-123',
-          ':firstGroupedFilter': 'one',
-          ':secondGroupedFilter': 'two',
+          ':ifNotExists_profile': {},
+          ':ifNotExists_stats': {},
+          ':condition_status': 'draft',
         },
+      }, condition));
+      expect(updateStub.thirdCall.args[0]).toEqual(_.assign({
+        TableName: 'fake',
+        Key: pk,
+        UpdateExpression: 'SET #ifNotExists_profile_address_profile.#ifNotExists_profile_address_address = if_not_exists(#ifNotExists_profile_address_profile.#ifNotExists_profile_address_address, :ifNotExists_profile_address)',
         ExpressionAttributeNames: {
-          '#userId': 'userId',
-          '#uuid': 'uuid',
-          '#firstGroupedFilter_first': 'first',
-          '#secondGroupedFilter_second': 'second',
+          '#ifNotExists_profile_address_profile': 'profile',
+          '#ifNotExists_profile_address_address': 'address',
+          '#condition_status_status': 'status',
         },
-        ExclusiveStartKey: pk,
-        Select: 'ALL_ATTRIBUTES',
-        TableName: 'fake',
-        Limit: 10,
-        ScanIndexForward: true,
-      });
+        ExpressionAttributeValues: {
+          ':ifNotExists_profile_address': {},
+          ':condition_status': 'draft',
+        },
+      }, condition));
+      expect(updateStub.getCall(3).args[0]).toEqual(updateStub.firstCall.args[0]);
     })
     .catch(err => expect(err).toBeUndefined())
     .then(() => {
-      exciterAllowReject.dynamo.query.restore();
+      updateStub.restore();
       done();
     });
 });
 
-test('querySort', (done) => {
+test('patchCreateMissingDisabled', (done) => {
   expect.assertions(4);
-  const pk = {
-    userId: '123456',
-    uuid: '123-123-123',
-  };
-  const expected = { expected: 'thing', Items: [{ one: 'one' }, { two: 'two' }] };
-  const stub = sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseResolve(expected));
-  const combos = [
-    [true, false],
-    [false, true],
-    [true, true],
-    [false, false],
-  ];
-  const testCombos = combos.map((combo) => {
-    const query = {
-      pageForward: combo[0],
-      sortAscending: combo[1],
-    };
-    return exciterAllowReject.query(pk, 'fake', query)
-      .then((res) => {
-        expect(res.Items[0]).toEqual(expected.Items[query.pageForward ? 0 : 1]);
-        sinon.assert.calledWith(stub, {
-          KeyConditionExpression: '((#userId = :userId) AND (#uuid = :uuid))',
-          ExpressionAttributeValues: {
-            ':userId': '123456',
-            ':uuid': '123-123-123',
-          },
-          ExpressionAttributeNames: {
-            '#userId': 'userId',
-            '#uuid': 'uuid',
-          },
-          TableName: 'fake',
-          Limit: 10,
-          // The sortAscending parameter should essentially reverse the
-          // pageForward param.
-          ScanIndexForward: query.sortAscending ? query.pageForward : !query.pageForward,
-        });
-      });
-  });
-
-  return Promise.all(testCombos)
-    .catch(err => expect(err).toBeUndefined())
+  const invalidPath = new Error('The document path provided in the update expression is invalid for update');
+  invalidPath.code = 'ValidationException';
+  const updateStub = sinon.stub(exciterAllowReject.dynamo, 'update').callsFake(awsPromiseReject(invalidPath));
+  return exciterAllowReject.patch({ profile: { city: 'Halifax' } }, { userId: '123456' }, 'fake', { deep: true })
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err).toBeInstanceOf(Exciter.errors.ValidationError);
+      expect(err.cause).toBe(invalidPath);
+    })
     .then(() => {
-      exciterAllowReject.dynamo.query.restore();
+      updateStub.callsFake(awsPromiseReject(new Error('Dynamo had a sad.')));
+      return exciterAllowReject.patch({ profile: { city: 'Halifax' } }, { userId: '123456' }, 'fake', { deep: true, createMissing: true });
+    })
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('Dynamo had a sad.'))
+    .then(() => {
+      expect(updateStub.callCount).toEqual(2);
+      updateStub.restore();
       done();
     });
 });
 
-test('queryLastPageForward', (done) => {
-  expect.assertions(2);
-  const pk = {
-    userId: '123456',
-  };
-  // What the response from dynamo would be if you had paged forward to the
-  // last page.
-  const dynamoResponseForward = {
-    Items: [
-      { one: 'one' },
-      { two: 'two' },
-      { three: 'three' },
-      { four: 'four' },
-      { five: 'five' },
-    ],
-    LastEvaluatedKey: { shouldBe: 'deleted' },
+test('writeReturnValues', (done) => {
+  expect.assertions(7);
+  const pk = { userId: '123456' };
+  const capacity = { TableName: 'fake', CapacityUnits: 1 };
+  const updateStub = sinon.stub(exciter.dynamo, 'update').callsFake(awsPromiseResolve({
+    Attributes: { userId: '123456', title: 'Exciting' },
+    ConsumedCapacity: capacity,
+  }));
+  const deleteStub = sinon.stub(exciter.dynamo, 'delete').callsFake(awsPromiseResolve({}));
+  return exciter.patch({ title: 'Exciting' }, pk, 'fake', {
+    returnValues: 'ALL_NEW',
+    returnConsumedCapacity: 'TOTAL',
+  })
+    .then((item) => {
+      expect(updateStub.firstCall.args[0].ReturnValues).toEqual('ALL_NEW');
+      expect(updateStub.firstCall.args[0].ReturnConsumedCapacity).toEqual('TOTAL');
+      expect(item).toEqual({ userId: '123456', title: 'Exciting' });
+      expect(item.$metadata).toEqual({ consumedCapacity: capacity });
+      return exciter.delete(pk, 'fake', { returnValues: 'ALL_OLD' });
+    })
+    .then((item) => {
+      expect(deleteStub.firstCall.args[0]).toEqual({
+        TableName: 'fake',
+        Key: pk,
+        ReturnValues: 'ALL_OLD',
+      });
+      expect(item).toEqual({});
+      expect(item.$metadata).toBeUndefined();
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      updateStub.restore();
+      deleteStub.restore();
+      done();
+    });
+});
+
+test('putReturnConsumedCapacity', (done) => {
+  expect.assertions(3);
+  const capacity = { TableName: 'fake', CapacityUnits: 1 };
+  const putStub = sinon.stub(exciter.dynamo, 'put').callsFake(awsPromiseResolve({ ConsumedCapacity: capacity }));
+  return exciter.put({ title: 'Exciting' }, { userId: '123456' }, 'fake', false, { returnConsumedCapacity: 'TOTAL' })
+    .then((item) => {
+      expect(putStub.firstCall.args[0].ReturnConsumedCapacity).toEqual('TOTAL');
+      expect(item.$metadata.consumedCapacity).toEqual(capacity);
+      expect(JSON.stringify(item)).toEqual('{}');
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      putStub.restore();
+      done();
+    });
+});
+
+test('writeTimestamps', (done) => {
+  expect.assertions(6);
+  const stamped = new Exciter({}, true, { tables: { fake: { timestamps: true, ttlAttribute: 'expires' } } });
+  const putStub = sinon.stub(stamped.dynamo, 'put').callsFake(awsPromiseResolve({}));
+  const updateStub = sinon.stub(stamped.dynamo, 'update').callsFake(awsPromiseResolve({}));
+  const pk = { userId: '123456' };
+  return stamped.create({ title: 'Exciting', createdAt: 'yesterday' }, pk, 'fake', { ttl: 60 })
+    .then(() => stamped.put({ title: 'Exciting', createdAt: 'yesterday' }, pk, 'fake', false, { ttl: null }))
+    .then(() => stamped.patch({ title: 'Exciting', createdAt: 'yesterday' }, pk, 'fake', { ttl: new Date(120000) }))
+    .then(() => {
+      expect(putStub.firstCall.args[0].Item).toEqual({
+        title: 'Exciting',
+        userId: '123456',
+        createdAt: '1970-01-01T00:00:00.000Z',
+        updatedAt: '1970-01-01T00:00:00.000Z',
+        expires: 60,
+      });
+      expect(putStub.secondCall.args[0].Item).toEqual({
+        title: 'Exciting',
+        userId: '123456',
+        createdAt: 'yesterday',
+        updatedAt: '1970-01-01T00:00:00.000Z',
+      });
+      expect(updateStub.firstCall.args[0]).toEqual({
+        TableName: 'fake',
+        Key: pk,
+        UpdateExpression: 'SET #title = :title, #updatedAt = :updatedAt, #expires = :expires, #ifNotExists_createdAt_createdAt = if_not_exists(#ifNotExists_createdAt_createdAt, :ifNotExists_createdAt)',
+        ExpressionAttributeNames: {
+          '#title': 'title',
+          '#updatedAt': 'updatedAt',
+          '#expires': 'expires',
+          '#ifNotExists_createdAt_createdAt': 'createdAt',
+        },
+        ExpressionAttributeValues: {
+          ':title': 'Exciting',
+          ':updatedAt': '1970-01-01T00:00:00.000Z',
+          ':expires': 120,
+          ':ifNotExists_createdAt': '1970-01-01T00:00:00.000Z',
+        },
+      });
+      return stamped.patch({ title: 'Exciting' }, pk, 'fake', {
+        timestamps: { updatedAt: 'modified', format: 'epoch' },
+        ttl: null,
+      });
+    })
+    .then(() => stamped.put({ title: 'Exciting' }, pk, 'fake'))
+    .then(() => stamped.put({ title: 'Exciting' }, pk, 'fake', false, { timestamps: false, ttl: null }))
+    .then(() => {
+      expect(updateStub.secondCall.args[0].UpdateExpression).toEqual('SET #title = :title, #modified = :modified, #ifNotExists_createdAt_createdAt = if_not_exists(#ifNotExists_createdAt_createdAt, :ifNotExists_createdAt) REMOVE #remove_expires_expires');
+      // Puts replace the record, so createdAt is set unless data contains it.
+      expect(putStub.thirdCall.args[0].Item.createdAt).toEqual('1970-01-01T00:00:00.000Z');
+      expect(putStub.getCall(3).args[0].Item).toEqual({ title: 'Exciting', userId: '123456' });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
+
+test('writeTimestampsPreserveCreatedAt', (done) => {
+  expect.assertions(3);
+  const stamped = new Exciter({}, true, {
+    tables: { fake: { timestamps: true, ttlAttribute: 'expires', preserveCreatedAt: true } },
+  });
+  const putStub = sinon.stub(stamped.dynamo, 'put').callsFake(awsPromiseResolve({}));
+  const updateStub = sinon.stub(stamped.dynamo, 'update').callsFake(awsPromiseResolve({}));
+  const pk = { userId: '123456' };
+  return stamped.put({ title: 'Exciting' }, pk, 'fake')
+    .then(() => stamped.put({ title: 'Exciting', createdAt: 'yesterday' }, pk, 'fake', false, { ttl: null }))
+    .then(() => {
+      // Only the attributes in data are written. Stored attributes which are
+      // not in data, such as a "views" counter, survive the put.
+      expect(updateStub.firstCall.args[0]).toEqual({
+        TableName: 'fake',
+        Key: pk,
+        UpdateExpression: 'SET #title = :title, #updatedAt = :updatedAt, #ifNotExists_createdAt_createdAt = if_not_exists(#ifNotExists_createdAt_createdAt, :ifNotExists_createdAt)',
+        ExpressionAttributeNames: {
+          '#title': 'title',
+          '#updatedAt': 'updatedAt',
+          '#ifNotExists_createdAt_createdAt': 'createdAt',
+        },
+        ExpressionAttributeValues: {
+          ':title': 'Exciting',
+          ':updatedAt': '1970-01-01T00:00:00.000Z',
+          ':ifNotExists_createdAt': '1970-01-01T00:00:00.000Z',
+        },
+      });
+      // A createdAt in data is written as it is.
+      expect(updateStub.secondCall.args[0].UpdateExpression).toEqual('SET #title = :title, #createdAt = :createdAt, #updatedAt = :updatedAt REMOVE #remove_expires_expires');
+      expect(putStub.callCount).toEqual(0);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
+
+test('writeTimestampsInvalid', (done) => {
+  expect.assertions(3);
+  const pk = { userId: '123456' };
+  return exciterAllowReject.put({}, pk, 'fake', false, { timestamps: { format: 'unix' } })
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('Unsupported timestamp format: unix. Allowed formats: iso, epoch.'))
+    .then(() => exciterAllowReject.patch({}, pk, 'fake', { ttl: '1 day' }))
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('Invalid ttl: 1 day. Use a Date or a number of seconds from now.'))
+    .then(() => exciterAllowReject.patch({}, pk, 'fake', { ttl: new Date('never') }))
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('Invalid ttl: Invalid Date. Use a Date or a number of seconds from now.'))
+    .then(done);
+});
+
+test('putConditions', (done) => {
+  expect.assertions(1);
+  const data = { status: 'draft', userId: '123456' };
+  const pk = { userId: '123456' };
+  const putStub = sinon.stub(exciter.dynamo, 'put').callsFake(awsPromiseResolve({}));
+  const conditions = {
+    status: { condition: 'draft' },
+    owner: { condition: { path: 'meta.owner', value: 'me' } },
+  };
+  return exciter.create(data, pk, 'fake', { conditions })
+    .then(() => {
+      sinon.assert.calledWith(putStub, {
+        TableName: 'fake',
+        Item: data,
+        ConditionExpression: '(attribute_not_exists(#userId)) AND ((#condition_status_status = :condition_status) AND (#condition_owner_meta.#condition_owner_owner = :condition_owner))',
+        ExpressionAttributeNames: {
+          '#userId': 'userId',
+          '#condition_status_status': 'status',
+          '#condition_owner_meta': 'meta',
+          '#condition_owner_owner': 'owner',
+        },
+        ExpressionAttributeValues: {
+          ':condition_status': 'draft',
+          ':condition_owner': 'me',
+        },
+      });
+      expect(true).toBe(true);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      putStub.restore();
+      done();
+    });
+});
+
+test('patchConditions', (done) => {
+  expect.assertions(1);
+  const pk = { userId: '123456' };
+  const updateStub = sinon.stub(exciter.dynamo, 'update').callsFake(awsPromiseResolve({}));
+  const conditions = {
+    editable: { group: { conjunction: 'OR' } },
+    status: { condition: { value: 'draft', memberOf: 'editable' } },
+    locked: { condition: { operator: 'exists', value: false, memberOf: 'editable' } },
+  };
+  return exciter.patch({ status: 'published' }, pk, 'fake', { conditions })
+    .then(() => {
+      sinon.assert.calledWith(updateStub, {
+        TableName: 'fake',
+        Key: pk,
+        UpdateExpression: 'SET #status = :status',
+        ConditionExpression: '((#condition_status_status = :condition_status) OR (attribute_not_exists(#condition_locked_locked)))',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+          '#condition_status_status': 'status',
+          '#condition_locked_locked': 'locked',
+        },
+        ExpressionAttributeValues: {
+          ':status': 'published',
+          ':condition_status': 'draft',
+        },
+      });
+      expect(true).toBe(true);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      updateStub.restore();
+      done();
+    });
+});
+
+test('patchConditionsPlaceholderCollision', (done) => {
+  expect.assertions(1);
+  const pk = { userId: '123456' };
+  const updateStub = sinon.stub(exciter.dynamo, 'update').callsFake(awsPromiseResolve({}));
+  const conditions = { s: { condition: 1 } };
+  return exciter.patch({ condition_s_s: 1 }, pk, 'fake', { conditions })
+    .then(() => {
+      sinon.assert.calledWith(updateStub, {
+        TableName: 'fake',
+        Key: pk,
+        UpdateExpression: 'SET #condition_s_s = :condition_s_s',
+        ConditionExpression: '(#condition_s_1_s = :condition_s_1)',
+        ExpressionAttributeNames: {
+          '#condition_s_s': 'condition_s_s',
+          '#condition_s_1_s': 's',
+        },
+        ExpressionAttributeValues: {
+          ':condition_s_s': 1,
+          ':condition_s_1': 1,
+        },
+      });
+      expect(true).toBe(true);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      updateStub.restore();
+      done();
+    });
+});
+
+test('deleteConditionFailed', (done) => {
+  expect.assertions(4);
+  const pk = { userId: '123456' };
+  const awsError = new Error('The conditional request failed');
+  awsError.code = 'ConditionalCheckFailedException';
+  const deleteStub = sinon.stub(exciterAllowReject.dynamo, 'delete').callsFake(awsPromiseReject(awsError));
+  return exciterAllowReject.delete(pk, 'fake', { conditions: { owner: { condition: 'me' } } })
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      sinon.assert.calledWith(deleteStub, {
+        TableName: 'fake',
+        Key: pk,
+        ConditionExpression: '(#condition_owner_owner = :condition_owner)',
+        ExpressionAttributeNames: { '#condition_owner_owner': 'owner' },
+        ExpressionAttributeValues: { ':condition_owner': 'me' },
+      });
+      expect(err).toBeInstanceOf(Exciter.errors.ConditionFailedError);
+      expect(err.message).toEqual('The conditional request failed');
+      expect(err.code).toEqual('ConditionalCheckFailedException');
+      expect(err.cause).toBe(awsError);
+    })
+    .then(() => {
+      deleteStub.restore();
+      done();
+    });
+});
+
+test('putVersioned', (done) => {
+  expect.assertions(1);
+  const versioned = new Exciter({}, true, { tables: { fake: { versionAttribute: 'version' } } });
+  const putStub = sinon.stub(versioned.dynamo, 'put').callsFake(awsPromiseResolve({}));
+  return versioned.put({ id: '1', title: 'New', version: 3 }, { id: '1' }, 'fake')
+    .then(() => versioned.put({ id: '2', title: 'Newer' }, { id: '2' }, 'fake'))
+    .then(() => versioned.create({ id: '3', title: 'Newest' }, { id: '3' }, 'fake'))
+    .then(() => {
+      sinon.assert.calledWith(putStub, {
+        TableName: 'fake',
+        Item: { id: '1', title: 'New', version: 4 },
+        ConditionExpression: '(#version_lock_version = :version_lock)',
+        ExpressionAttributeNames: { '#version_lock_version': 'version' },
+        ExpressionAttributeValues: { ':version_lock': 3 },
+      });
+      // Records without a version may only be written if none is stored.
+      sinon.assert.calledWith(putStub, {
+        TableName: 'fake',
+        Item: { id: '2', title: 'Newer', version: 1 },
+        ConditionExpression: '(attribute_not_exists(#version_lock_version))',
+        ExpressionAttributeNames: { '#version_lock_version': 'version' },
+      });
+      sinon.assert.calledWith(putStub, {
+        TableName: 'fake',
+        Item: { id: '3', title: 'Newest', version: 1 },
+        ConditionExpression: 'attribute_not_exists(#id)',
+        ExpressionAttributeNames: { '#id': 'id' },
+      });
+      expect(putStub.callCount).toEqual(3);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
+
+test('patchVersioned', (done) => {
+  expect.assertions(1);
+  const versioned = new Exciter({}, true, { tables: { fake: { versionAttribute: 'version' } } });
+  const updateStub = sinon.stub(versioned.dynamo, 'update').callsFake(awsPromiseResolve({}));
+  const conditions = { status: { condition: 'draft' } };
+  return versioned.patch({ id: '1', title: 'New', version: 3 }, { id: '1' }, 'fake', { conditions })
+    .then(() => {
+      sinon.assert.calledWith(updateStub, {
+        TableName: 'fake',
+        Key: { id: '1' },
+        UpdateExpression: 'SET #title = :title, #version_lock_next_version = :version_lock_next',
+        ConditionExpression: '((#condition_status_status = :condition_status)) AND (#version_lock_version = :version_lock)',
+        ExpressionAttributeNames: {
+          '#title': 'title',
+          '#version_lock_next_version': 'version',
+          '#condition_status_status': 'status',
+          '#version_lock_version': 'version',
+        },
+        ExpressionAttributeValues: {
+          ':title': 'New',
+          ':version_lock_next': 4,
+          ':condition_status': 'draft',
+          ':version_lock': 3,
+        },
+      });
+      expect(true).toBe(true);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
+
+test('patchVersionConflict', (done) => {
+  expect.assertions(5);
+  const versioned = new Exciter({}, true, { tables: { fake: { versionAttribute: 'version' } } });
+  const awsError = new Error('The conditional request failed');
+  awsError.code = 'ConditionalCheckFailedException';
+  sinon.stub(versioned.dynamo, 'update').callsFake(awsPromiseReject(awsError));
+  return versioned.patch({ title: 'New', version: 3 }, { id: '1' }, 'fake')
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err).toBeInstanceOf(Exciter.errors.VersionConflictError);
+      expect(err).toBeInstanceOf(Exciter.errors.ConditionFailedError);
+      expect(err.cause).toBe(awsError);
+      // The failed condition can't be identified when there are others.
+      return versioned.patch({ title: 'New', version: 3 }, { id: '1' }, 'fake', {
+        conditions: { status: { condition: 'draft' } },
+      });
+    })
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err).toBeInstanceOf(Exciter.errors.ConditionFailedError);
+      expect(err instanceof Exciter.errors.VersionConflictError).toBe(false);
+    })
+    .then(done);
+});
+
+test('patchInvalidVersion', (done) => {
+  expect.assertions(1);
+  const versioned = new Exciter({}, true, { tables: { fake: { versionAttribute: 'version' } } });
+  return versioned.patch({ title: 'New', version: '3' }, { id: '1' }, 'fake')
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('Invalid version: 3. Versions must be non-negative integers.'))
+    .then(done);
+});
+
+test('deleteVersioned', (done) => {
+  expect.assertions(1);
+  const versioned = new Exciter({}, true, { tables: { fake: { versionAttribute: 'version' } } });
+  const deleteStub = sinon.stub(versioned.dynamo, 'delete').callsFake(awsPromiseResolve({}));
+  return versioned.delete({ id: '1' }, 'fake', { version: 2 })
+    .then(() => versioned.delete({ id: '2' }, 'fake'))
+    .then(() => {
+      sinon.assert.calledWith(deleteStub, {
+        TableName: 'fake',
+        Key: { id: '1' },
+        ConditionExpression: '(#version_lock_version = :version_lock)',
+        ExpressionAttributeNames: { '#version_lock_version': 'version' },
+        ExpressionAttributeValues: { ':version_lock': 2 },
+      });
+      // Deletes without a version are not guarded.
+      sinon.assert.calledWith(deleteStub, { TableName: 'fake', Key: { id: '2' } });
+      expect(deleteStub.callCount).toEqual(2);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
+
+test('loadVersioned', (done) => {
+  expect.assertions(2);
+  const versioned = new Exciter({}, true, { tables: { fake: { versionAttribute: 'version' } } });
+  const getStub = sinon.stub(versioned.dynamo, 'get');
+  getStub.onFirstCall().callsFake(awsPromiseResolve({ Item: { id: '1', version: 7 } }));
+  getStub.onSecondCall().callsFake(awsPromiseResolve({}));
+  return versioned.load({ id: '1' }, 'fake')
+    .then((res) => {
+      expect(res).toEqual({ Item: { id: '1', version: 7 }, version: 7 });
+      return versioned.load({ id: '2' }, 'fake');
+    })
+    .then(res => expect(res).toEqual({}))
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
+
+test('queryVersioned', (done) => {
+  expect.assertions(3);
+  const versioned = new Exciter({}, true, { tables: { fake: { versionAttribute: 'version' } } });
+  const queryStub = sinon.stub(versioned.dynamo, 'query');
+  queryStub.onFirstCall().callsFake(awsPromiseResolve({
+    Items: [{ id: '1', version: 7 }, { id: '2' }],
+    Count: 2,
+  }));
+  queryStub.onSecondCall().callsFake(awsPromiseResolve({ Count: 2 }));
+  return versioned.query({ id: '1' }, 'fake', { attributes: ['title'] })
+    .then((res) => {
+      expect(queryStub.firstCall.args[0].ProjectionExpression).toEqual('#projection0_title, #projection1_version');
+      expect(res.versions).toEqual([7, undefined]);
+      return versioned.query({ id: '1' }, 'fake', { select: 'COUNT' });
+    })
+    .then(res => expect(res).toEqual({ Count: 2 }))
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
+
+test('loadProjection', (done) => {
+  expect.assertions(4);
+  const versioned = new Exciter({}, true, { tables: { fake: { versionAttribute: 'version' } } });
+  const getStub = sinon.stub(versioned.dynamo, 'get').callsFake(awsPromiseResolve({}));
+  const batchGetStub = sinon.stub(versioned.dynamo, 'batchGet').callsFake(awsPromiseResolve({ Responses: {} }));
+  return versioned.load({ id: '1' }, 'fake', { attributes: ['title', 'profile.address.city', 'title'] })
+    .then(() => versioned.loadMany([{ id: '1' }], 'fake', { attributes: ['title'] }))
+    .then(() => versioned.batchLoad({ fake: [{ id: '1' }], empty: [] }, { attributes: ['title'] }))
+    .then((res) => {
+      expect(res).toEqual({ fake: [null], empty: [] });
+      expect(Object.keys(batchGetStub.secondCall.args[0].RequestItems)).toEqual(['fake']);
+      expect(getStub.firstCall.args[0]).toEqual({
+        TableName: 'fake',
+        Key: { id: '1' },
+        ProjectionExpression: '#projection0_title, #projection1_profile.#projection1_address.#projection1_city, #projection2_version',
+        ExpressionAttributeNames: {
+          '#projection0_title': 'title',
+          '#projection1_profile': 'profile',
+          '#projection1_address': 'address',
+          '#projection1_city': 'city',
+          '#projection2_version': 'version',
+        },
+      });
+      // Keys are retrieved to match documents with their keys.
+      expect(batchGetStub.firstCall.args[0].RequestItems.fake).toEqual({
+        Keys: [{ id: '1' }],
+        ProjectionExpression: '#projection0_id, #projection1_title',
+        ExpressionAttributeNames: { '#projection0_id': 'id', '#projection1_title': 'title' },
+      });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
+
+test('load', (done) => {
+  expect.assertions(1);
+  const pk = {
+    userId: '123456',
+    uuid: '123-123-123',
+  };
+  const expected = { some: 'ExpectedThing' };
+  sinon.stub(exciter.dynamo, 'get').callsFake(awsPromiseResolve(expected));
+  return exciter.load(pk, 'fake')
+    .then((res) => {
+      expect(res).toEqual(expected);
+    })
+    .catch((err) => {
+      expect(err).toBeUndefined();
+    })
+    .then(() => {
+      exciter.dynamo.get.restore();
+      done();
+    });
+});
+
+test('loadError', (done) => {
+  expect.assertions(1);
+  const pk = {
+    userId: '123456',
+    uuid: '123-123-123',
+  };
+  const expectedMessage = 'Dynamo had a sad.';
+  sinon.stub(exciterAllowReject.dynamo, 'get').callsFake(awsPromiseReject(new Error(expectedMessage)));
+  return exciterAllowReject.load(pk, 'fake')
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err.message).toEqual(expectedMessage);
+      exciterAllowReject.dynamo.get.restore();
+      done();
+    });
+});
+
+test('loadMany', (done) => {
+  expect.assertions(3);
+  const keys = [
+    { id: 'one' },
+    { id: 'missing' },
+    { id: 'two' },
+    { id: 'one' },
+  ];
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'batchGet').callsFake(awsPromiseResolve({
+    Responses: {
+      fake: [
+        { id: 'two', some: 'thing' },
+        { id: 'one', some: 'other thing' },
+      ],
+    },
+    UnprocessedKeys: {},
+  }));
+  return exciterAllowReject.loadMany(keys, 'fake')
+    .then((res) => {
+      expect(res).toEqual([
+        { id: 'one', some: 'other thing' },
+        null,
+        { id: 'two', some: 'thing' },
+        { id: 'one', some: 'other thing' },
+      ]);
+      expect(stub.callCount).toEqual(1);
+      // Duplicate keys should only be requested once.
+      expect(stub.firstCall.args[0]).toEqual({
+        RequestItems: {
+          fake: { Keys: [{ id: 'one' }, { id: 'missing' }, { id: 'two' }] },
+        },
+      });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.batchGet.restore();
+      done();
+    });
+});
+
+test('batchLoadChunksAndRetries', (done) => {
+  expect.assertions(5);
+  const requests = {
+    users: _.times(150, i => ({ userId: `user${i}`, uuid: 'a' })),
+    videos: [{ id: 'video' }],
+  };
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'batchGet').callsFake((params) => {
+    const users = _.get(params.RequestItems, 'users.Keys', []);
+    const videos = _.get(params.RequestItems, 'videos.Keys', []);
+    // Leave the video and the last user of the second chunk unprocessed.
+    if (videos.length && stub.callCount < 3) {
+      return {
+        promise: () => Promise.resolve({
+          Responses: { users: _.initial(users).map(key => _.assign({ name: key.userId }, key)) },
+          UnprocessedKeys: { users: { Keys: [_.last(users)] }, videos: { Keys: videos } },
+        }),
+      };
+    }
+    const res = {};
+    if (users.length) {
+      res.users = users.map(key => _.assign({ name: key.userId }, key));
+    }
+    if (videos.length) {
+      res.videos = videos.map(key => _.assign({ title: 'Exciting' }, key));
+    }
+    return { promise: () => Promise.resolve({ Responses: res }) };
+  });
+  const waitStub = sinon.stub(Exciter, 'wait').resolves();
+  return exciterAllowReject.batchLoad(requests)
+    .then((res) => {
+      expect(res.users.length).toEqual(150);
+      expect(res.users[149]).toEqual({ userId: 'user149', uuid: 'a', name: 'user149' });
+      expect(res.videos).toEqual([{ id: 'video', title: 'Exciting' }]);
+      expect(stub.callCount).toEqual(3);
+      expect(stub.thirdCall.args[0]).toEqual({
+        RequestItems: {
+          users: { Keys: [{ userId: 'user149', uuid: 'a' }] },
+          videos: { Keys: [{ id: 'video' }] },
+        },
+      });
+      sinon.assert.calledWith(waitStub, 50);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.batchGet.restore();
+      Exciter.wait.restore();
+      done();
+    });
+});
+
+test('batchLoadRetriesExhausted', (done) => {
+  expect.assertions(2);
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'batchGet').callsFake(awsPromiseResolve({
+    UnprocessedKeys: { fake: { Keys: [{ id: 'one' }] } },
+  }));
+  return exciterAllowReject.loadMany([{ id: 'one' }], 'fake', { maxRetries: 2, baseDelay: 0 })
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err.message).toEqual('Unable to load all keys after 2 retries.');
+      expect(stub.callCount).toEqual(3);
+    })
+    .then(() => {
+      exciterAllowReject.dynamo.batchGet.restore();
+      done();
+    });
+});
+
+test('loadManyNoReject', (done) => {
+  expect.assertions(1);
+  sinon.stub(exciter.dynamo, 'batchGet').callsFake(awsPromiseReject(new Error('Dynamo had a sad.')));
+  return exciter.loadMany([{ id: 'one' }], 'fake')
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciter.dynamo.batchGet.restore();
+      done();
+    });
+});
+
+test('loadManyResult', (done) => {
+  expect.assertions(2);
+  const resulting = new Exciter({}, true, { onFail: 'result' });
+  const throttled = new Error('Throughput exceeded.');
+  throttled.code = 'ProvisionedThroughputExceededException';
+  sinon.stub(resulting.dynamo, 'batchGet').callsFake(awsPromiseReject(throttled));
+  return resulting.loadMany([{ id: 'one' }], 'fake')
+    .then((res) => {
+      expect(res.error).toBeInstanceOf(Exciter.errors.ThrottledError);
+      expect(res.error.operation).toEqual('batchLoad');
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
+
+test('putMany', (done) => {
+  expect.assertions(9);
+  const items = _.times(60, i => ({ id: `item${i}`, some: 'thing' }));
+  const chunkError = new Error('Throughput exceeded.');
+  chunkError.code = 'ProvisionedThroughputExceededException';
+  let pending = 0;
+  let maxPending = 0;
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'batchWrite').callsFake((params) => {
+    const requests = params.RequestItems.fake;
+    const firstId = requests[0].PutRequest.Item.id;
+    pending += 1;
+    maxPending = Math.max(pending, maxPending);
+    const settle = (res) => {
+      pending -= 1;
+      return res;
+    };
+    // The first chunk leaves its last item unprocessed on the first attempt.
+    if (firstId === 'item0' && requests.length === 25) {
+      return {
+        promise: () => Promise.resolve({ UnprocessedItems: { fake: [_.last(requests)] } }).then(settle),
+      };
+    }
+    // The last chunk fails entirely.
+    if (firstId === 'item50') {
+      return { promise: () => Promise.reject(chunkError).catch(err => Promise.reject(settle(err))) };
+    }
+    return { promise: () => Promise.resolve({ UnprocessedItems: {} }).then(settle) };
+  });
+  const waitStub = sinon.stub(Exciter, 'wait').resolves();
+  return exciterAllowReject.putMany(items, 'fake', { concurrency: 2 })
+    .then((res) => {
+      expect(res.processed).toEqual(50);
+      expect(res.failed.length).toEqual(10);
+      expect(res.failed[0].item).toEqual(items[50]);
+      expect(res.failed[0].error).toBeInstanceOf(Exciter.errors.ThrottledError);
+      expect(_.pick(res.failed[0].error, ['cause', 'operation', 'table'])).toEqual({
+        cause: chunkError,
+        operation: 'batchWrite',
+        table: 'fake',
+      });
+      expect(stub.callCount).toEqual(4);
+      expect(stub.secondCall.args[0]).toEqual({
+        RequestItems: { fake: items.slice(25, 50).map(item => ({ PutRequest: { Item: item } })) },
+      });
+      expect(stub.getCall(2).args[0]).toEqual({
+        RequestItems: { fake: [{ PutRequest: { Item: items[24] } }] },
+      });
+      expect(maxPending).toEqual(2);
+      sinon.assert.calledOnce(waitStub);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.batchWrite.restore();
+      Exciter.wait.restore();
+      done();
+    });
+});
+
+test('deleteManyRetriesExhausted', (done) => {
+  expect.assertions(4);
+  const keys = [{ id: 'one' }, { id: 'two' }];
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'batchWrite').callsFake(awsPromiseResolve({
+    UnprocessedItems: { fake: [{ DeleteRequest: { Key: { id: 'two' } } }] },
+  }));
+  return exciterAllowReject.deleteMany(keys, 'fake', { maxRetries: 1, baseDelay: 0 })
+    .then((res) => {
+      expect(res.processed).toEqual(1);
+      expect(res.failed).toEqual([
+        { key: { id: 'two' }, error: new Error('Unable to write item after 1 retries.') },
+      ]);
+      expect(res.failed[0].error).toBeInstanceOf(Exciter.errors.ThrottledError);
+      expect(stub.callCount).toEqual(2);
+      sinon.assert.calledWith(stub, {
+        RequestItems: { fake: keys.map(key => ({ DeleteRequest: { Key: key } })) },
+      });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.batchWrite.restore();
+      done();
+    });
+});
+
+test('catchHandler', (done) => {
+  expect.assertions(2);
+  const error = new Error('This is bad.');
+  return exciter.catchHandler(error)
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      expect(true).toBe(true);
+      return exciterAllowReject.catchHandler(error);
+    })
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual(error.message))
+    .then(done);
+});
+
+
+test('catchHandlerErrors', (done) => {
+  expect.assertions(10);
+  const throttled = new Error('Rate exceeded.');
+  throttled.code = 'ThrottlingException';
+  const context = { operation: 'load', table: 'fake', key: { id: 'a' }, extra: undefined };
+  return exciterAllowReject.catchHandler(throttled, context)
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err).toBeInstanceOf(Exciter.errors.ThrottledError);
+      expect(_.pick(err, ['message', 'code', 'cause', 'operation', 'table', 'key'])).toEqual({
+        message: 'Rate exceeded.',
+        code: 'ThrottlingException',
+        cause: throttled,
+        operation: 'load',
+        table: 'fake',
+        key: { id: 'a' },
+      });
+      expect(_.has(err, 'extra')).toBe(false);
+      // The context of the operation which raised the error is kept.
+      return exciterAllowReject.catchHandler(err, { operation: 'query', table: 'other' });
+    })
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(_.pick(err, ['operation', 'table'])).toEqual({ operation: 'load', table: 'fake' });
+      return exciterAllowReject.catchHandler(_.assign(new Error('Bad.'), { code: 'ValidationException' }), context);
+    })
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err).toBeInstanceOf(Exciter.errors.ValidationError);
+      expect(_.pick(err, ['message', 'failures', 'table'])).toEqual({ message: 'Bad.', failures: [], table: 'fake' });
+      // Any other error is wrapped, whether it came from DynamoDB or not.
+      return exciterAllowReject.catchHandler(new Error('Invalid input.'), context);
+    })
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err.constructor).toBe(Exciter.errors.ExciterError);
+      expect(_.pick(err, ['message', 'operation'])).toEqual({ message: 'Invalid input.', operation: 'load' });
+      expect(err.cause).toBeInstanceOf(Error);
+      expect(() => new Exciter({}, true, { onFail: 'explode' }))
+        .toThrow('Unsupported onFail mode: explode. Allowed modes: reject, ignore, result.');
+    })
+    .then(done);
+});
+
+test('onFailResult', (done) => {
+  expect.assertions(5);
+  const resulting = new Exciter({}, false, { onFail: 'result' });
+  const failed = new Error('The conditional request failed');
+  failed.code = 'ConditionalCheckFailedException';
+  sinon.stub(resulting.dynamo, 'put').callsFake(awsPromiseReject(failed));
+  sinon.stub(resulting.dynamo, 'scan').callsFake(awsPromiseReject(new Error('Scan failed.')));
+  sinon.stub(resulting.dynamo, 'query').callsFake(awsPromiseResolve({ Items: [], Count: 0 }));
+  const countStub = sinon.stub(resulting, 'countTotal').rejects(new Error('Count failed.'));
+  expect(resulting.rejectOnFail).toBe(false);
+  return resulting.create({ name: 'Luke' }, { id: 'a' }, 'fake')
+    .then((res) => {
+      expect(res.error).toBeInstanceOf(Exciter.errors.ConditionFailedError);
+      expect(_.pick(res.error, ['operation', 'table', 'key'])).toEqual({ operation: 'create', table: 'fake', key: { id: 'a' } });
+      return Promise.all([
+        resulting.scan('fake'),
+        // A failed count fails the query rather than its total.
+        resulting.query({ id: 'a' }, 'fake', { includeTotal: true }),
+        resulting.getTotalCount({ TableName: 'fake' }),
+      ]);
+    })
+    .then((res) => {
+      expect(res.map(result => result.error.message)).toEqual(['Scan failed.', 'Count failed.', 'Count failed.']);
+      expect(_.has(res[1], 'Items')).toBe(false);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      countStub.restore();
+      done();
+    });
+});
+
+test('loadMustExist', (done) => {
+  expect.assertions(4);
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'get').callsFake(awsPromiseResolve({}));
+  return exciterAllowReject.load({ id: 'a' }, 'fake')
+    .then((res) => {
+      expect(res).toEqual({});
+      return exciterAllowReject.load({ id: 'a' }, 'fake', { mustExist: true });
+    })
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err).toBeInstanceOf(Exciter.errors.ItemNotFoundError);
+      expect(err.message).toEqual('The record does not exist.');
+      expect(_.pick(err, ['operation', 'table', 'key'])).toEqual({ operation: 'load', table: 'fake', key: { id: 'a' } });
+    })
+    .then(() => {
+      stub.restore();
+      done();
+    });
+});
+
+test('errorContext', (done) => {
+  expect.assertions(3);
+  const throttled = new Error('Throughput exceeded.');
+  throttled.code = 'ProvisionedThroughputExceededException';
+  sinon.stub(exciterAllowReject.dynamo, 'batchGet').callsFake(awsPromiseReject(throttled));
+  const mapStub = sinon.stub(Exciter, 'mapLimit').rejects(throttled);
+  return exciterAllowReject.loadMany([{ id: 'a' }], 'fake')
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err.operation).toEqual('batchLoad');
+      return exciterAllowReject.putMany([{ id: 'a' }], 'fake');
+    })
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err).toBeInstanceOf(Exciter.errors.ThrottledError);
+      expect(_.pick(err, ['operation', 'table'])).toEqual({ operation: 'batchWrite', table: 'fake' });
+    })
+    .then(() => {
+      exciterAllowReject.dynamo.batchGet.restore();
+      mapStub.restore();
+      done();
+    });
+});
+
+test('querySuccess', (done) => {
+  expect.assertions(1);
+  const pk = {
+    userId: '123456',
+    uuid: '123-123-123',
+  };
+  const expected = { expected: 'thing' };
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseResolve(expected));
+  return exciterAllowReject.query(pk, 'fake')
+    .then((res) => {
+      expect(res).toEqual(expected);
+      sinon.assert.calledWith(stub, {
+        KeyConditionExpression: '((#userId = :userId) AND (#uuid = :uuid))',
+        ExpressionAttributeValues: {
+          ':userId': '123456',
+          ':uuid': '123-123-123',
+        },
+        ExpressionAttributeNames: {
+          '#userId': 'userId',
+          '#uuid': 'uuid',
+        },
+        TableName: 'fake',
+        Limit: 10,
+        ScanIndexForward: true,
+      });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.query.restore();
+      done();
+    });
+});
+
+test('queryError', (done) => {
+  expect.assertions(1);
+  const pk = {
+    userId: '123456',
+    uuid: '123-123-123',
+  };
+  const expectedMessage = 'Dynamo had a sad.';
+  sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseReject(new Error(expectedMessage)));
+  return exciterAllowReject.query(pk, 'fake')
+    .catch(err => expect(err.message).toEqual(expectedMessage))
+    .then(() => {
+      exciterAllowReject.dynamo.query.restore();
+      done();
+    });
+});
+
+test('queryNoUngroupped', (done) => {
+  expect.assertions(1);
+  const pk = {
+    userId: '123456',
+    uuid: '123-123-123',
+  };
+  const filters = {
+    andGroup: {
+      group: {
+        conjunction: 'OR',
+      },
+    },
+    firstGroupedFilter: {
+      condition: {
+        path: 'first',
+        value: 'one',
+        memberOf: 'andGroup',
+      },
+    },
+    secondGroupedFilter: {
+      condition: {
+        path: 'second',
+        value: 'two',
+        memberOf: 'andGroup',
+      },
+    },
+  };
+  const expected = { expected: 'thing' };
+  const dynamoQuery = {
+    startKey: pk,
+    rawFilters: filters,
+    select: 'ALL_ATTRIBUTES',
+  };
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseResolve(expected));
+  return exciterAllowReject.query(pk, 'fake', dynamoQuery)
+    .then((res) => {
+      expect(res).toEqual(expected);
+      sinon.assert.calledWith(stub, {
+        KeyConditionExpression: '((#userId = :userId) AND (#uuid = :uuid))',
+        FilterExpression: '((#firstGroupedFilter_first = :firstGroupedFilter) OR (#secondGroupedFilter_second = :secondGroupedFilter))',
+        ExpressionAttributeValues: {
+          ':userId': '123456',
+          ':uuid': '123-123-123',
+          ':firstGroupedFilter': 'one',
+          ':secondGroupedFilter': 'two',
+        },
+        ExpressionAttributeNames: {
+          '#userId': 'userId',
+          '#uuid': 'uuid',
+          '#firstGroupedFilter_first': 'first',
+          '#secondGroupedFilter_second': 'second',
+        },
+        ExclusiveStartKey: pk,
+        Select: 'ALL_ATTRIBUTES',
+        TableName: 'fake',
+        Limit: 10,
+        ScanIndexForward: true,
+      });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.query.restore();
+      done();
+    });
+});
+
+test('querySort', (done) => {
+  expect.assertions(4);
+  const pk = {
+    userId: '123456',
+    uuid: '123-123-123',
+  };
+  const expected = { expected: 'thing', Items: [{ one: 'one' }, { two: 'two' }] };
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseResolve(expected));
+  const combos = [
+    [true, false],
+    [false, true],
+    [true, true],
+    [false, false],
+  ];
+  const testCombos = combos.map((combo) => {
+    const query = {
+      pageForward: combo[0],
+      sortAscending: combo[1],
+    };
+    return exciterAllowReject.query(pk, 'fake', query)
+      .then((res) => {
+        expect(res.Items[0]).toEqual(expected.Items[query.pageForward ? 0 : 1]);
+        sinon.assert.calledWith(stub, {
+          KeyConditionExpression: '((#userId = :userId) AND (#uuid = :uuid))',
+          ExpressionAttributeValues: {
+            ':userId': '123456',
+            ':uuid': '123-123-123',
+          },
+          ExpressionAttributeNames: {
+            '#userId': 'userId',
+            '#uuid': 'uuid',
+          },
+          TableName: 'fake',
+          Limit: 10,
+          // The sortAscending parameter should essentially reverse the
+          // pageForward param.
+          ScanIndexForward: query.sortAscending ? query.pageForward : !query.pageForward,
+        });
+      });
+  });
+
+  return Promise.all(testCombos)
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.query.restore();
+      done();
+    });
+});
+
+test('queryCursors', (done) => {
+  expect.assertions(16);
+  const cursored = new Exciter({}, true, { cursorSecret: 'secret' });
+  const pk = { userId: '123456' };
+  const q = { limit: 2, rawFilters: { active: { condition: true } }, cursors: true };
+  const stub = sinon.stub(cursored.dynamo, 'query');
+  stub.onCall(0).callsFake(awsPromiseResolve({ Items: [{ id: 'a' }, { id: 'b' }], LastEvaluatedKey: { id: 'b' } }));
+  stub.onCall(1).callsFake(awsPromiseResolve({ Items: [{ id: 'c' }, { id: 'd' }], LastEvaluatedKey: { id: 'd' } }));
+  stub.onCall(2).callsFake(awsPromiseResolve({ Items: [{ id: 'b' }, { id: 'a' }] }));
+  stub.onCall(3).callsFake(awsPromiseResolve({ Items: [] }));
+  stub.onCall(4).callsFake(awsPromiseResolve({ Count: 1 }));
+  stub.onCall(5).callsFake(awsPromiseResolve({ Count: 3 }));
+  stub.onCall(6).callsFake(awsPromiseResolve({ Items: [{ id: 'z' }], LastEvaluatedKey: { id: 'z' } }));
+  stub.onCall(7).callsFake(awsPromiseResolve({ Items: [{ id: 'a' }] }));
+  stub.onCall(8).callsFake(awsPromiseResolve({ Items: [] }));
+  let second;
+  return cursored.query(pk, 'fake', q)
+    .then((first) => {
+      expect(first.prevCursor).toBeUndefined();
+      expect(first.nextCursor).toMatch(/^[\w-]+$/);
+      // The key schema can't be read from the cursor.
+      expect(Buffer.from(first.nextCursor, 'base64').toString()).not.toMatch(/"id"/);
+      return cursored.query(pk, 'fake', _.assign({ cursor: first.nextCursor }, q));
+    })
+    .then((res) => {
+      second = res;
+      expect(stub.secondCall.args[0]).toEqual(expect.objectContaining({
+        ExclusiveStartKey: { id: 'b' },
+        ScanIndexForward: true,
+      }));
+      expect(cursored.decodeCursor(second.prevCursor, pk, 'fake', q)).toEqual({ key: { id: 'c' }, direction: 'prev' });
+      return cursored.query(pk, 'fake', _.assign({ cursor: second.prevCursor }, q));
+    })
+    .then((res) => {
+      expect(stub.thirdCall.args[0]).toEqual(expect.objectContaining({
+        ExclusiveStartKey: { id: 'c' },
+        ScanIndexForward: false,
+      }));
+      expect(res.Items).toEqual([{ id: 'a' }, { id: 'b' }]);
+      expect(res.prevCursor).toBeUndefined();
+      expect(cursored.decodeCursor(res.nextCursor, pk, 'fake', q)).toEqual({ key: { id: 'b' }, direction: 'next' });
+      // Pages without items page back from the key they started at.
+      return cursored.query(pk, 'fake', _.assign({ cursor: second.prevCursor }, q));
+    })
+    .then((res) => {
+      expect(cursored.decodeCursor(res.nextCursor, pk, 'fake', q)).toEqual({ key: { id: 'c' }, direction: 'next' });
+      return cursored.query(pk, 'fake', _.assign({ startKey: 'last', includeTotal: false }, q));
+    })
+    .then((res) => {
+      // The last page is read in reverse, so its LastEvaluatedKey precedes it.
+      expect(_.has(res, 'nextCursor')).toBe(false);
+      expect(cursored.decodeCursor(res.prevCursor, pk, 'fake', q)).toEqual({ key: { id: 'z' }, direction: 'prev' });
+      return cursored.query(pk, 'fake', q);
+    })
+    .then((res) => {
+      // A single page has neither a next nor a previous page.
+      expect(_.pick(res, ['nextCursor', 'prevCursor'])).toEqual({});
+      // A full last page has a LastEvaluatedKey, so the page after it is
+      // empty but can still page back.
+      return cursored.query(pk, 'fake', _.assign({ cursor: second.nextCursor }, q));
+    })
+    .then((res) => {
+      expect(res.Items).toEqual([]);
+      expect(_.has(res, 'nextCursor')).toBe(false);
+      expect(cursored.decodeCursor(res.prevCursor, pk, 'fake', q)).toEqual({ key: { id: 'd' }, direction: 'prev' });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
+
+test('queryCursorsInvalid', (done) => {
+  expect.assertions(5);
+  const cursored = new Exciter({}, true, { cursorSecret: 'secret' });
+  const pk = { userId: '123456' };
+  const cursor = cursored.encodeCursor({ key: { id: 'b' }, direction: 'next' }, pk, 'fake', { rawFilters: {} });
+  sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseResolve({ Items: [], LastEvaluatedKey: { id: 'b' } }));
+  const altered = `${cursor.slice(0, 20)}${cursor[20] === 'A' ? 'B' : 'A'}${cursor.slice(21)}`;
+  return cursored.query(pk, 'fake', { cursor: altered })
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err).toBeInstanceOf(Exciter.errors.InvalidCursorError);
+      expect(err.message).toEqual('The cursor is invalid.');
+    })
+    .then(() => cursored.query(pk, 'fake', { cursor: 'garbage' }))
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('The cursor is invalid.'))
+    .then(() => cursored.query(pk, 'fake', { cursor, index: 'otherIndex' }))
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('The cursor belongs to a different query.'))
+    .then(() => exciterAllowReject.query(pk, 'fake', { cursors: true }))
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('A cursorSecret must be configured to use cursors.'))
+    .then(() => {
+      exciterAllowReject.dynamo.query.restore();
+      done();
+    });
+});
+
+test('queryPreviousKey', (done) => {
+  expect.assertions(12);
+  const pk = { userId: '123456' };
+  const q = { limit: 2, includePreviousKey: true };
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'query');
+  stub.onCall(0).callsFake(awsPromiseResolve({ Items: [{ id: 'd' }, { id: 'e' }], LastEvaluatedKey: { id: 'e' } }));
+  stub.onCall(1).callsFake(awsPromiseResolve({ ScannedCount: 2, LastEvaluatedKey: { id: 'a' } }));
+  stub.onCall(2).callsFake(awsPromiseResolve({ Items: [{ id: 'a' }] }));
+  stub.onCall(3).callsFake(awsPromiseResolve({ ScannedCount: 0 }));
+  stub.onCall(4).callsFake(awsPromiseResolve({ Items: [{ id: 'a' }] }));
+  stub.onCall(5).callsFake(awsPromiseResolve({ Items: [{ id: 'e' }, { id: 'd' }], LastEvaluatedKey: { id: 'd' } }));
+  stub.onCall(6).callsFake(awsPromiseResolve({ ScannedCount: 3, LastEvaluatedKey: { id: 'a' } }));
+  stub.onCall(7).callsFake(awsPromiseResolve({ Items: [{ id: 'z' }], LastEvaluatedKey: { id: 'z' } }));
+  stub.onCall(8).callsFake(awsPromiseResolve({ ScannedCount: 0 }));
+  stub.onCall(9).callsFake(awsPromiseResolve({ Items: [] }));
+  stub.onCall(10).callsFake(awsPromiseResolve({ Items: [{ id: 'a' }] }));
+  stub.onCall(11).callsFake(awsPromiseResolve({ ScannedCount: 0 }));
+  const countStub = sinon.stub(exciterAllowReject, 'countTotal').resolves(5);
+  return exciterAllowReject.query(pk, 'fake', _.assign({ startKey: { id: 'c' } }, q))
+    .then((res) => {
+      expect(stub.secondCall.args[0]).toEqual(expect.objectContaining({
+        ExclusiveStartKey: { id: 'c' },
+        ScanIndexForward: false,
+        Select: 'COUNT',
+        Limit: 2,
+      }));
+      expect(res.PreviousKey).toEqual({ id: 'a' });
+      // The previous page is the first page.
+      return exciterAllowReject.query(pk, 'fake', _.assign({ startKey: { id: 'a' } }, q));
+    })
+    .then((res) => {
+      expect(res.PreviousKey).toBeNull();
+      // The first page has no previous page.
+      return exciterAllowReject.query(pk, 'fake', q);
+    })
+    .then((res) => {
+      expect(_.has(res, 'PreviousKey')).toBe(false);
+      // Paging backwards, the previous page is before the first item.
+      return exciterAllowReject.query(pk, 'fake', _.assign({ startKey: { id: 'f' }, pageForward: false }, q));
+    })
+    .then((res) => {
+      expect(res.Items).toEqual([{ id: 'd' }, { id: 'e' }]);
+      expect(stub.getCall(6).args[0]).toEqual(expect.objectContaining({
+        ExclusiveStartKey: { id: 'd' },
+        ScanIndexForward: false,
+        Limit: 3,
+      }));
+      expect(res.PreviousKey).toEqual({ id: 'a' });
+      return exciterAllowReject.query(pk, 'fake', _.assign({ startKey: 'last' }, q));
+    })
+    .then((res) => {
+      expect(stub.getCall(8).args[0].ExclusiveStartKey).toEqual({ id: 'z' });
+      // Nothing precedes the last page, so it is also the first page.
+      expect(_.has(res, 'PreviousKey')).toBe(false);
+      return exciterAllowReject.query(pk, 'fake', _.assign({ startKey: 'last' }, q));
+    })
+    .then((res) => {
+      expect(_.has(res, 'PreviousKey')).toBe(false);
+      return exciterAllowReject.query(pk, 'fake', _.assign({ startKey: { id: 'b' }, pageForward: false }, q));
+    })
+    .then((res) => {
+      expect(stub.getCall(11).args[0].ExclusiveStartKey).toEqual({ id: 'a' });
+      expect(_.has(res, 'PreviousKey')).toBe(false);
+      sinon.assert.callCount(stub, 12);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      stub.restore();
+      countStub.restore();
+      done();
+    });
+});
+
+test('queryFillPage', (done) => {
+  expect.assertions(6);
+  const pk = { userId: '123456' };
+  const q = { limit: 3, fillPage: true, rawFilters: { active: { condition: true } } };
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'query');
+  stub.onCall(0).callsFake(awsPromiseResolve({ Items: [{ id: 'a' }], ScannedCount: 3, LastEvaluatedKey: { id: 'c' } }));
+  stub.onCall(1).callsFake(awsPromiseResolve({ Items: [{ id: 'd' }], ScannedCount: 3, LastEvaluatedKey: { id: 'f' } }));
+  stub.onCall(2).callsFake(awsPromiseResolve({ Items: [{ id: 'g' }, { id: 'h' }], ScannedCount: 3, LastEvaluatedKey: { id: 'i' } }));
+  stub.onCall(3).callsFake(awsPromiseResolve({ Items: [{ id: 'j' }, { id: 'k' }, { id: 'l' }], ScannedCount: 3, LastEvaluatedKey: { id: 'm' } }));
+  stub.onCall(4).callsFake(awsPromiseResolve({ Items: [{ id: 'x' }], ScannedCount: 2 }));
+  return exciterAllowReject.query(pk, 'fake', q)
+    .then((res) => {
+      expect(stub.args.map(args => args[0].ExclusiveStartKey)).toEqual([undefined, { id: 'c' }, { id: 'f' }]);
+      expect(res).toEqual({
+        Items: [{ id: 'a' }, { id: 'd' }, { id: 'g' }],
+        Count: 3,
+        ScannedCount: 9,
+        // The next page starts with the item which didn't fit.
+        LastEvaluatedKey: { id: 'g' },
+      });
+      return exciterAllowReject.query(pk, 'fake', q);
+    })
+    .then((res) => {
+      expect(res.LastEvaluatedKey).toEqual({ id: 'l' });
+      return exciterAllowReject.query(pk, 'fake', q);
+    })
+    .then((res) => {
+      expect(res).toEqual({ Items: [{ id: 'x' }], Count: 1, ScannedCount: 2 });
+      return exciterAllowReject.query(pk, 'fake', _.assign({ page: 2 }, q));
+    })
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err.message).toEqual('The page option cannot be combined with fillPage.');
+      expect(stub.callCount).toEqual(5);
+    })
+    .then(() => {
+      stub.restore();
+      done();
+    });
+});
+
+test('queryFillPagePreviousKey', (done) => {
+  expect.assertions(4);
+  const pk = { userId: '123456' };
+  const q = { limit: 2, fillPage: true, includePreviousKey: true };
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'query');
+  stub.onCall(0).callsFake(awsPromiseResolve({ Items: [{ id: 'd' }, { id: 'e' }], ScannedCount: 2, LastEvaluatedKey: { id: 'e' } }));
+  stub.onCall(1).callsFake(awsPromiseResolve({ Items: [{ id: 'b' }], ScannedCount: 2 }));
+  stub.onCall(2).callsFake(awsPromiseResolve({ Items: [{ id: 'y' }, { id: 'x' }], ScannedCount: 2, LastEvaluatedKey: { id: 'x' } }));
+  stub.onCall(3).callsFake(awsPromiseResolve({ Items: [], ScannedCount: 4 }));
+  return exciterAllowReject.query(pk, 'fake', _.assign({ startKey: { id: 'c' } }, q))
+    .then((res) => {
+      // Items which pass the filters are counted rather than evaluated items.
+      expect(_.has(stub.secondCall.args[0], 'Select')).toBe(false);
+      expect(res.PreviousKey).toBeNull();
+      return exciterAllowReject.query(pk, 'fake', _.assign({ startKey: { id: 'z' }, pageForward: false }, q));
+    })
+    .then((res) => {
+      expect(stub.getCall(3).args[0]).toEqual(expect.objectContaining({
+        ExclusiveStartKey: { id: 'x' },
+        Limit: 3,
+      }));
+      expect(_.has(res, 'PreviousKey')).toBe(false);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      stub.restore();
+      done();
+    });
+});
+
+test('queryKeyConditions', (done) => {
+  expect.assertions(3);
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseResolve({ Items: [] }));
+  return exciterAllowReject.query({
+    userId: '123456',
+    createdAt: { operator: 'between', value: [1, 5] },
+  }, 'fake')
+    .then(() => exciterAllowReject.query({
+      userId: '123456',
+      videoId: { operator: 'startswith', value: 'abc' },
+    }, 'fake'))
+    .then(() => exciterAllowReject.query({
+      views: { operator: '>=', value: 10 },
+      userId: '123456',
+    }, 'fake'))
+    .then(() => {
+      expect(_.pick(stub.firstCall.args[0], ['KeyConditionExpression', 'ExpressionAttributeValues'])).toEqual({
+        KeyConditionExpression: '((#userId = :userId) AND (#createdAt BETWEEN :createdAt0 AND :createdAt1))',
+        ExpressionAttributeValues: { ':userId': '123456', ':createdAt0': 1, ':createdAt1': 5 },
+      });
+      expect(stub.secondCall.args[0].KeyConditionExpression)
+        .toEqual('((#userId = :userId) AND (begins_with(#videoId, :videoId)))');
+      expect(stub.thirdCall.args[0].KeyConditionExpression)
+        .toEqual('((#views >= :views) AND (#userId = :userId))');
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      stub.restore();
+      done();
+    });
+});
+
+test('queryKeyConditionsInvalid', (done) => {
+  expect.assertions(5);
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseResolve({ Items: [] }));
+  return exciterAllowReject.query({ userId: '123456', videoId: { operator: 'in', value: ['a', 'b'] } }, 'fake')
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('Unsupported key operator: in on "videoId". Allowed key operators: =, <, <=, >, >=, between, startswith.'))
+    .then(() => exciterAllowReject.query({ userId: '123456', videoId: { value: 'a', negate: true } }, 'fake'))
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('Key condition "videoId" cannot be negated or use a path, size or compareTo.'))
+    .then(() => exciterAllowReject.query({ userId: '123456', videoId: 'a', title: 'b' }, 'fake'))
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('A query accepts a partition key and a sort key. Received: userId, videoId, title.'))
+    .then(() => exciterAllowReject.query({ userId: { operator: '<', value: '123456' } }, 'fake', { page: 2 }))
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('A query requires a partition key using the = operator.'))
+    .then(() => {
+      // Invalid key conditions are rejected before any request.
+      expect(stub.called).toBe(false);
+      stub.restore();
+      done();
+    });
+});
+
+test('queryProjection', (done) => {
+  expect.assertions(3);
+  const pk = { userId: '123456' };
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseResolve({ Items: [], Count: 0 }));
+  const scanStub = sinon.stub(exciterAllowReject.dynamo, 'scan').callsFake(awsPromiseResolve({ Items: [] }));
+  const q = {
+    attributes: ['title', 'stats.views'],
+    rawFilters: { title: { condition: { value: 'Exciting' } } },
+  };
+  return exciterAllowReject.query(pk, 'fake', _.assign({ includeTotal: true }, q))
+    .then(() => exciterAllowReject.scan('fake', q))
+    .then(() => {
+      expect(_.pick(stub.firstCall.args[0], ['ProjectionExpression', 'FilterExpression', 'ExpressionAttributeNames'])).toEqual({
+        ProjectionExpression: '#projection0_title, #projection1_stats.#projection1_views',
+        FilterExpression: '(#title = :title)',
+        ExpressionAttributeNames: {
+          '#userId': 'userId',
+          '#title': 'title',
+          '#projection0_title': 'title',
+          '#projection1_stats': 'stats',
+          '#projection1_views': 'views',
+        },
+      });
+      // Count requests can't have a projection.
+      expect(stub.secondCall.args[0]).toEqual({
+        KeyConditionExpression: '(#userId = :userId)',
+        FilterExpression: '(#title = :title)',
+        ExpressionAttributeNames: { '#userId': 'userId', '#title': 'title' },
+        ExpressionAttributeValues: { ':userId': '123456', ':title': 'Exciting' },
+        ScanIndexForward: true,
+        TableName: 'fake',
+        Select: 'COUNT',
+      });
+      expect(scanStub.firstCall.args[0].ProjectionExpression)
+        .toEqual('#projection0_title, #projection1_stats.#projection1_views');
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      stub.restore();
+      scanStub.restore();
+      done();
+    });
+});
+
+test('queryPage', (done) => {
+  expect.assertions(6);
+  const pk = { userId: '123456' };
+  const q = { limit: 2, page: 3, index: 'userIndex', rawFilters: { active: { condition: true } } };
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'query').callsFake((params) => {
+    if (params.Select !== 'COUNT') {
+      return awsPromiseResolve({ Items: [{ id: 'e' }], LastEvaluatedKey: { id: 'f' } })();
+    }
+    if (!_.has(params, 'Limit')) {
+      return awsPromiseResolve({ Count: 7 })();
+    }
+    // The first request stops early, as if it had read 1MB.
+    return awsPromiseResolve(_.has(params, 'ExclusiveStartKey')
+      ? { ScannedCount: 1, LastEvaluatedKey: { id: 'd' } }
+      : { ScannedCount: 3, LastEvaluatedKey: { id: 'c' } })();
+  });
+  return exciterAllowReject.query(pk, 'fake', q)
+    .then((res) => {
+      const skips = stub.args.filter(args => _.has(args[0], 'Limit') && args[0].Select === 'COUNT');
+      expect(skips[0][0]).toEqual({
+        KeyConditionExpression: '(#userId = :userId)',
+        ExpressionAttributeNames: { '#userId': 'userId' },
+        ExpressionAttributeValues: { ':userId': '123456' },
+        ScanIndexForward: true,
+        TableName: 'fake',
+        IndexName: 'userIndex',
+        Select: 'COUNT',
+        Limit: 4,
+      });
+      expect(_.pick(skips[1][0], ['ExclusiveStartKey', 'Limit'])).toEqual({
+        ExclusiveStartKey: { id: 'c' },
+        Limit: 1,
+      });
+      expect(stub.lastCall.args[0]).toEqual(expect.objectContaining({
+        ExclusiveStartKey: { id: 'd' },
+        FilterExpression: '(#active = :active)',
+        Limit: 2,
+      }));
+      expect(_.pick(res, ['Items', 'currentPage', 'totalPages'])).toEqual({
+        Items: [{ id: 'e' }],
+        currentPage: 3,
+        totalPages: 4,
+      });
+      stub.resetHistory();
+      return exciterAllowReject.query(pk, 'fake', _.assign({}, q, { page: 1 }));
+    })
+    .then((res) => {
+      // The first page doesn't need to skip anything.
+      sinon.assert.calledTwice(stub);
+      expect(stub.lastCall.args[0].ExclusiveStartKey).toBeUndefined();
+      expect(res.currentPage).toEqual(1);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      stub.restore();
+      done();
+    });
+});
+
+test('queryPageBeyondEnd', (done) => {
+  expect.assertions(2);
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(params => (
+    awsPromiseResolve(_.has(params, 'Limit') ? { ScannedCount: 5 } : { Count: 5 })()
+  ));
+  return exciterAllowReject.query({ userId: '123456' }, 'fake', {
+    limit: 5,
+    page: 4,
+    sortAscending: false,
+  })
+    .then((res) => {
+      sinon.assert.calledTwice(stub);
+      expect(stub.firstCall.args[0].ScanIndexForward).toBe(false);
+      expect(_.pick(res, ['Items', 'Count', 'currentPage', 'totalPages'])).toEqual({
+        Items: [],
+        Count: 0,
+        currentPage: 4,
+        totalPages: 1,
+      });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      stub.restore();
+      done();
+    });
+});
+
+test('queryPageInvalid', (done) => {
+  expect.assertions(4);
+  const pk = { userId: '123456' };
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(params => (
+    awsPromiseResolve(_.has(params, 'Limit') ? { ScannedCount: 1, LastEvaluatedKey: { id: 'a' } } : { Count: 100 })()
+  ));
+  return exciterAllowReject.query(pk, 'fake', { page: 0 })
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('Invalid page: 0. Pages are numbered from 1.'))
+    .then(() => exciterAllowReject.query(pk, 'fake', { page: 2, startKey: { id: 'a' } }))
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('The page option cannot be combined with a startKey or cursor.'))
+    .then(() => exciterAllowReject.query(pk, 'fake', { page: 2, maxSkipRequests: 3 }))
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err.message).toEqual('Page 2 could not be reached within 3 requests.');
+      expect(stub.args.filter(args => _.has(args[0], 'Limit')).length).toEqual(3);
+    })
+    .then(() => {
+      stub.restore();
+      done();
+    });
+});
+
+test('queryLastPageForward', (done) => {
+  expect.assertions(3);
+  const pk = {
+    userId: '123456',
   };
+  // The last page is read in reverse, stopping after the records which are
+  // left over when paging forward.
   const dynamoResponseReversed = {
     Items: [
       { five: 'five' },
       { four: 'four' },
       { three: 'three' },
-      { two: 'two' },
-      { one: 'one' },
     ],
-    LastEvaluatedKey: { shouldBe: 'deleted' },
+    LastEvaluatedKey: { three: 'three' },
   };
   const query = { startKey: 'last', limit: 5 };
-  sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseResolve(dynamoResponseReversed));
-  sinon.stub(exciterAllowReject, 'getTotalCount').resolves(103);
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseResolve(dynamoResponseReversed));
+  sinon.stub(exciterAllowReject, 'countTotal').resolves(103);
   return exciterAllowReject.query(pk, 'fake', query)
     .then((res) => {
-      expect(res.Items).toEqual(dynamoResponseForward.Items.slice(2));
-      expect(res.LastEvaluatedKey).toBeUndefined();
+      expect(_.pick(stub.firstCall.args[0], ['ScanIndexForward', 'Limit'])).toEqual({
+        ScanIndexForward: false,
+        Limit: 3,
+      });
+      expect(res.Items).toEqual([{ three: 'three' }, { four: 'four' }, { five: 'five' }]);
+      // Paging backwards from here retrieves the previous page.
+      expect(res.LastEvaluatedKey).toEqual({ three: 'three' });
     })
     .catch(err => expect(err).toBeUndefined())
     .then(() => {
       exciterAllowReject.dynamo.query.restore();
-      exciterAllowReject.getTotalCount.restore();
+      exciterAllowReject.countTotal.restore();
       done();
     });
 });
@@ -580,18 +2159,6 @@ test('queryLastPageBackwards', (done) => {
   const pk = {
     userId: '123456',
   };
-  // What the response from dynamo would be if you had paged backward to the
-  // last page.
-  const dynamoResponseReversed = {
-    Items: [
-      { five: 'five' },
-      { four: 'four' },
-      { three: 'three' },
-      { two: 'two' },
-      { one: 'one' },
-    ],
-    LastEvaluatedKey: { shouldBe: 'deleted' },
-  };
   const dynamoResponseForward = {
     Items: [
       { one: 'one' },
@@ -600,21 +2167,66 @@ test('queryLastPageBackwards', (done) => {
       { four: 'four' },
       { five: 'five' },
     ],
-    LastEvaluatedKey: { shouldBe: 'deleted' },
+    LastEvaluatedKey: { five: 'five' },
   };
   const query = { startKey: 'last', limit: 5, pageForward: false };
-  sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseResolve(dynamoResponseForward));
-  sinon.stub(exciterAllowReject, 'getTotalCount').resolves(103);
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseResolve(dynamoResponseForward));
+  // The last page is full when the total is a multiple of the limit.
+  sinon.stub(exciterAllowReject, 'countTotal').resolves(100);
 
   return exciterAllowReject.query(pk, 'fake', query)
     .then((res) => {
-      expect(res.Items).toEqual([].concat(dynamoResponseReversed.Items.slice(2)));
-      expect(res.LastEvaluatedKey).toBeUndefined();
+      expect(_.pick(stub.firstCall.args[0], ['ScanIndexForward', 'Limit'])).toEqual({
+        ScanIndexForward: true,
+        Limit: 5,
+      });
+      expect(res.Items).toEqual(_.reverse(dynamoResponseForward.Items.slice()));
     })
     .catch(err => expect(err).toBeUndefined())
     .then(() => {
       exciterAllowReject.dynamo.query.restore();
-      exciterAllowReject.getTotalCount.restore();
+      exciterAllowReject.countTotal.restore();
+      done();
+    });
+});
+
+test('queryLastPageFiltered', (done) => {
+  expect.assertions(5);
+  const pk = { userId: '123456' };
+  const q = { startKey: 'last', limit: 5, rawFilters: { active: { condition: true } } };
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'query').callsFake((params) => {
+    if (params.Select === 'COUNT') {
+      return awsPromiseResolve({ Count: _.has(params, 'FilterExpression') ? 7 : 13 })();
+    }
+    return awsPromiseResolve(_.has(params, 'ExclusiveStartKey')
+      ? { Items: [{ id: 'j' }], LastEvaluatedKey: { id: 'j' } }
+      : { Items: [{ id: 'm' }], LastEvaluatedKey: { id: 'k' } })();
+  });
+  return exciterAllowReject.query(pk, 'fake', q)
+    .then((res) => {
+      // Unfilled pages end after every 5 records evaluated, so the last page
+      // holds what passes the filters among the last 3 records.
+      expect(stub.lastCall.args[0].Limit).toEqual(3);
+      expect(_.pick(res, ['Items', 'totalCount'])).toEqual({ Items: [{ id: 'm' }], totalCount: 7 });
+      stub.resetHistory();
+      return exciterAllowReject.query(pk, 'fake', _.assign({ fillPage: true }, q));
+    })
+    .then((res) => {
+      // Filled pages hold 5 records which pass the filters, so the last page
+      // is filled with 2 of them.
+      expect(stub.callCount).toEqual(3);
+      expect(stub.lastCall.args[0]).toEqual(expect.objectContaining({
+        ExclusiveStartKey: { id: 'k' },
+        Limit: 2,
+      }));
+      expect(_.pick(res, ['Items', 'LastEvaluatedKey'])).toEqual({
+        Items: [{ id: 'j' }, { id: 'm' }],
+        LastEvaluatedKey: { id: 'j' },
+      });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      stub.restore();
       done();
     });
 });
@@ -673,44 +2285,366 @@ test('queryKitchenSink', (done) => {
     index: 'sorted-index',
   };
   const stub = sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseResolve(expected));
-  sinon.stub(exciterAllowReject, 'getTotalCount').resolves(100);
+  sinon.stub(exciterAllowReject, 'countTotal').resolves(100);
   return exciterAllowReject.query(pk, 'fake', dynamoQuery)
     .then((res) => {
-      expected.totalCount = 100;
-      expect(res).toEqual(expected);
+      expected.totalCount = 100;
+      expect(res).toEqual(expected);
+      sinon.assert.calledWith(stub, {
+        KeyConditionExpression: '((#userId = :userId) AND (#uuid = :uuid))',
+        FilterExpression: '((#firstGroupedFilter_first = :firstGroupedFilter) OR (#secondGroupedFilter_second = :secondGroupedFilter)) AND ((#someFilter_some < :someFilter) AND (#nestedFilter_some.#nestedFilter_nested.#nestedFilter_thing = :nestedFilter))',
+        ExpressionAttributeValues: {
+          ':userId': '123456',
+          ':uuid': '123-123-123',
+          ':someFilter': 'filter',
+          ':nestedFilter': 'egg',
+          ':firstGroupedFilter': 'one',
+          ':secondGroupedFilter': 'two',
+        },
+        ExpressionAttributeNames: {
+          '#userId': 'userId',
+          '#uuid': 'uuid',
+          '#firstGroupedFilter_first': 'first',
+          '#secondGroupedFilter_second': 'second',
+          '#someFilter_some': 'some',
+          '#nestedFilter_some': 'some',
+          '#nestedFilter_nested': 'nested',
+          '#nestedFilter_thing': 'thing',
+        },
+        ExclusiveStartKey: pk,
+        Select: 'ALL_ATTRIBUTES',
+        TableName: 'fake',
+        IndexName: 'sorted-index',
+        Limit: 10,
+        ScanIndexForward: true,
+      });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.query.restore();
+      exciterAllowReject.countTotal.restore();
+      done();
+    });
+});
+
+/**
+ * Helper to stub a paginated query.
+ *
+ * @param {Exciter} instance
+ *   The Exciter instance whose DocumentClient should be stubbed.
+ *
+ * @return {sinon.stub}
+ *   The query stub. It resolves with two items, then a page where every item
+ *   was filtered out, then a final item.
+ */
+function stubPaginatedQuery(instance) {
+  const stub = sinon.stub(instance.dynamo, 'query');
+  stub.onCall(0).callsFake(awsPromiseResolve({ Items: [{ id: 'one' }, { id: 'two' }], LastEvaluatedKey: { id: 'two' } }));
+  stub.onCall(1).callsFake(awsPromiseResolve({ Items: [], LastEvaluatedKey: { id: 'four' } }));
+  stub.onCall(2).callsFake(awsPromiseResolve({ Items: [{ id: 'five' }] }));
+  return stub;
+}
+
+test('iterate', (done) => {
+  expect.assertions(6);
+  const stub = stubPaginatedQuery(exciterAllowReject);
+  const iterator = exciterAllowReject.iterate({ userId: '123456' }, 'fake', { limit: 2, index: 'someIndex' });
+  const symbol = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+  expect(iterator[symbol]()).toBe(iterator);
+  // Request two pages at once to ensure they don't overlap.
+  return Promise.all([iterator.next(), iterator.next()])
+    .then((pages) => {
+      expect(pages).toEqual([
+        { done: false, value: [{ id: 'one' }, { id: 'two' }] },
+        { done: false, value: [{ id: 'five' }] },
+      ]);
+      return iterator.next();
+    })
+    .then((page) => {
+      expect(page).toEqual({ done: true, value: undefined });
+      expect(stub.callCount).toEqual(3);
+      expect(stub.secondCall.args[0].ExclusiveStartKey).toEqual({ id: 'two' });
+      expect(stub.thirdCall.args[0]).toEqual(expect.objectContaining({
+        ExclusiveStartKey: { id: 'four' },
+        IndexName: 'someIndex',
+        Limit: 2,
+      }));
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.query.restore();
+      done();
+    });
+});
+
+test('queryAll', (done) => {
+  expect.assertions(6);
+  let stub = stubPaginatedQuery(exciterAllowReject);
+  return exciterAllowReject.queryAll({ userId: '123456' }, 'fake')
+    .then((items) => {
+      expect(items).toEqual([{ id: 'one' }, { id: 'two' }, { id: 'five' }]);
+      stub.restore();
+      stub = stubPaginatedQuery(exciterAllowReject);
+      return exciterAllowReject.queryAll({ userId: '123456' }, 'fake', {}, { maxItems: 1 });
+    })
+    .then((items) => {
+      expect(items).toEqual([{ id: 'one' }]);
+      expect(stub.callCount).toEqual(1);
+      sinon.stub(exciter.dynamo, 'query').callsFake(awsPromiseReject(new Error('Dynamo had a sad.')));
+      return exciter.queryAll({ userId: '123456' }, 'fake', { startKey: { id: 'two' } });
+    })
+    .then((items) => {
+      // Failed queries aren't mistaken for the end of the results.
+      expect(items).toBeUndefined();
+      const resulting = new Exciter({}, true, { onFail: 'result' });
+      const throttled = new Error('Throughput exceeded.');
+      throttled.code = 'ThrottlingException';
+      sinon.stub(resulting.dynamo, 'query').callsFake(awsPromiseReject(throttled));
+      return resulting.queryAll({ userId: '123456' }, 'fake');
+    })
+    .then((res) => {
+      expect(res.error).toBeInstanceOf(Exciter.errors.ThrottledError);
+      expect(_.pick(res.error, ['operation', 'table', 'key'])).toEqual({
+        operation: 'query',
+        table: 'fake',
+        key: { userId: '123456' },
+      });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.query.restore();
+      exciter.dynamo.query.restore();
+      done();
+    });
+});
+
+test('queryStream', (done) => {
+  expect.assertions(1);
+  stubPaginatedQuery(exciterAllowReject);
+  const items = [];
+  exciterAllowReject.queryStream({ userId: '123456' }, 'fake')
+    .on('data', item => items.push(item))
+    .on('end', () => {
+      expect(items).toEqual([{ id: 'one' }, { id: 'two' }, { id: 'five' }]);
+      exciterAllowReject.dynamo.query.restore();
+      done();
+    });
+});
+
+test('queryStreamError', (done) => {
+  expect.assertions(2);
+  sinon.stub(exciterAllowReject.dynamo, 'query').callsFake(awsPromiseReject(new Error('Dynamo had a sad.')));
+  const iterator = exciterAllowReject.iterate({ userId: '123456' }, 'fake');
+  exciterAllowReject.queryStream({ userId: '123456' }, 'fake')
+    .resume()
+    .on('error', (err) => {
+      expect(err.message).toEqual('Dynamo had a sad.');
+      iterator.next()
+        .catch(() => iterator.next())
+        .catch((nextErr) => {
+          // The iterator keeps working after a failed page.
+          expect(nextErr.message).toEqual('Dynamo had a sad.');
+          exciterAllowReject.dynamo.query.restore();
+          done();
+        });
+    });
+});
+
+test('scanSuccess', (done) => {
+  expect.assertions(2);
+  const expected = { Items: [{ one: 'one' }], Count: 1, ScannedCount: 1 };
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'scan').callsFake(awsPromiseResolve(expected));
+  return exciterAllowReject.scan('fake')
+    .then((res) => {
+      expect(res).toEqual(expected);
+      expect(stub.firstCall.args[0]).toEqual({
+        TableName: 'fake',
+        Limit: 10,
+      });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.scan.restore();
+      done();
+    });
+});
+
+test('scanKitchenSink', (done) => {
+  expect.assertions(2);
+  const filters = {
+    orGroup: {
+      group: {
+        conjunction: 'OR',
+      },
+    },
+    firstGroupedFilter: {
+      condition: {
+        path: 'first',
+        value: 'one',
+        memberOf: 'orGroup',
+      },
+    },
+    secondGroupedFilter: {
+      condition: {
+        path: 'second',
+        value: 'two',
+        memberOf: 'orGroup',
+      },
+    },
+    someFilter: {
+      condition: {
+        path: 'some.nested',
+        value: 'filter',
+        operator: '<',
+      },
+    },
+  };
+  const startKey = { userId: '123456' };
+  const expected = { Items: [{ one: 'one' }], Count: 1, ScannedCount: 5 };
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'scan').callsFake((params) => {
+    if (params.Select === 'COUNT') {
+      return { promise: () => Promise.resolve({ Count: 42 }) };
+    }
+    return { promise: () => Promise.resolve(expected) };
+  });
+  const scanParams = {
+    FilterExpression: '((#firstGroupedFilter_first = :firstGroupedFilter) OR (#secondGroupedFilter_second = :secondGroupedFilter)) AND (#someFilter_some.#someFilter_nested < :someFilter)',
+    ExpressionAttributeNames: {
+      '#firstGroupedFilter_first': 'first',
+      '#secondGroupedFilter_second': 'second',
+      '#someFilter_some': 'some',
+      '#someFilter_nested': 'nested',
+    },
+    ExpressionAttributeValues: {
+      ':firstGroupedFilter': 'one',
+      ':secondGroupedFilter': 'two',
+      ':someFilter': 'filter',
+    },
+    IndexName: 'sorted-index',
+    Select: 'ALL_ATTRIBUTES',
+    TableName: 'fake',
+  };
+  return exciterAllowReject.scan('fake', {
+    rawFilters: filters,
+    index: 'sorted-index',
+    select: 'ALL_ATTRIBUTES',
+    includeTotal: true,
+    limit: 5,
+    startKey,
+  })
+    .then((res) => {
+      expect(res).toEqual(_.assign({ totalCount: 42 }, expected));
+      sinon.assert.calledWith(stub, _.assign({ Limit: 5, ExclusiveStartKey: startKey }, scanParams));
+      sinon.assert.calledWith(stub, _.assign({}, scanParams, { Select: 'COUNT' }));
+      expect(stub.callCount).toEqual(2);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.scan.restore();
+      done();
+    });
+});
+
+test('scanSegments', (done) => {
+  expect.assertions(2);
+  const responses = [
+    { Items: [{ one: 'one' }], Count: 1, ScannedCount: 2, LastEvaluatedKey: { id: 'one' } },
+    { Items: [{ two: 'two' }, { three: 'three' }], Count: 2, ScannedCount: 2 },
+    { Items: [], Count: 0, ScannedCount: 2, LastEvaluatedKey: { id: 'four' } },
+  ];
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'scan')
+    .callsFake(params => ({ promise: () => Promise.resolve(responses[params.Segment]) }));
+  return exciterAllowReject.scan('fake', { segments: 3, limit: 2 })
+    .then((res) => {
+      expect(res).toEqual({
+        Items: [{ one: 'one' }, { two: 'two' }, { three: 'three' }],
+        Count: 3,
+        ScannedCount: 6,
+        LastEvaluatedKey: [{ id: 'one' }, null, { id: 'four' }],
+      });
+      expect(stub.callCount).toEqual(3);
+      sinon.assert.calledWith(stub, {
+        TableName: 'fake',
+        Limit: 2,
+        Segment: 1,
+        TotalSegments: 3,
+      });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.scan.restore();
+      done();
+    });
+});
+
+test('scanSegmentsNextPage', (done) => {
+  expect.assertions(2);
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'scan').callsFake(awsPromiseResolve({
+    Items: [{ five: 'five' }],
+    Count: 1,
+    ScannedCount: 1,
+  }));
+  return exciterAllowReject.scan('fake', {
+    segments: 3,
+    startKey: [{ id: 'one' }, null, { id: 'four' }],
+  })
+    .then((res) => {
+      // Segment 1 is exhausted and should not be scanned again.
+      expect(res).toEqual({
+        Items: [{ five: 'five' }, { five: 'five' }],
+        Count: 2,
+        ScannedCount: 2,
+      });
+      expect(stub.callCount).toEqual(2);
       sinon.assert.calledWith(stub, {
-        KeyConditionExpression: '((#userId = :userId) AND (#uuid = :uuid))',
-        FilterExpression: '((#firstGroupedFilter_first = :firstGroupedFilter) OR (#secondGroupedFilter_second = :secondGroupedFilter)) AND ((#someFilter_some < :someFilter) AND (#nestedFilter_some.#nestedFilter_nested.#nestedFilter_thing = :nestedFilter))',
-        ExpressionAttributeValues: {
-          ':userId': '123456',
-          ':uuid': '123-123-123',
-          ':someFilter': 'filter',
-          ':nestedFilter': 'egg',
-          ':firstGroupedFilter': 'one',
-          ':secondGroupedFilter': 'two',
-        },
-        ExpressionAttributeNames: {
-          '#userId': 'userId',
-          '#uuid': 'uuid',
-          '#firstGroupedFilter_first': 'first',
-          '#secondGroupedFilter_second': 'second',
-          '#someFilter_some': 'some',
-          '#nestedFilter_some': 'some',
-          '#nestedFilter_nested': 'nested',
-          '#nestedFilter_thing': 'thing',
-        },
-        ExclusiveStartKey: pk,
-        Select: 'ALL_ATTRIBUTES',
         TableName: 'fake',
-        IndexName: 'sorted-index',
         Limit: 10,
-        ScanIndexForward: true,
+        Segment: 2,
+        TotalSegments: 3,
+        ExclusiveStartKey: { id: 'four' },
       });
     })
     .catch(err => expect(err).toBeUndefined())
     .then(() => {
-      exciterAllowReject.dynamo.query.restore();
-      exciterAllowReject.getTotalCount.restore();
+      exciterAllowReject.dynamo.scan.restore();
+      done();
+    });
+});
+
+test('scanVersioned', (done) => {
+  expect.assertions(2);
+  const versioned = new Exciter({}, true, { tables: { fake: { versionAttribute: 'version' } } });
+  const responses = [
+    { Items: [{ id: '1', version: 7 }], Count: 1, ScannedCount: 1 },
+    { Items: [{ id: '2' }], Count: 1, ScannedCount: 1 },
+  ];
+  const stub = sinon.stub(versioned.dynamo, 'scan')
+    .callsFake(params => ({ promise: () => Promise.resolve(responses[params.Segment]) }));
+  return versioned.scan('fake', { attributes: ['title'], segments: 2 })
+    .then((res) => {
+      expect(stub.firstCall.args[0].ProjectionExpression).toEqual('#projection0_title, #projection1_version');
+      expect(res.versions).toEqual([7, undefined]);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
+
+test('scanLastPageUnsupported', (done) => {
+  expect.assertions(1);
+  return exciterAllowReject.scan('fake', { startKey: 'last' })
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('The "last" startKey is not supported when scanning.'))
+    .then(done);
+});
+
+test('scanError', (done) => {
+  expect.assertions(1);
+  const expectedMessage = 'Dynamo had a sad.';
+  sinon.stub(exciterAllowReject.dynamo, 'scan').callsFake(awsPromiseReject(new Error(expectedMessage)));
+  return exciterAllowReject.scan('fake')
+    .catch(err => expect(err.message).toEqual(expectedMessage))
+    .then(() => {
+      exciterAllowReject.dynamo.scan.restore();
       done();
     });
 });
@@ -721,11 +2655,13 @@ test('normalizeGroup', (done) => {
     ['defaultConjunction', {}],
     ['andConjunction', { conjunction: 'AND' }],
     ['orConjunction', { conjunction: 'OR' }],
+    ['nested', { memberOf: 'orConjunction' }],
   ];
   const expected = [
     { name: 'defaultConjunction', conjunction: 'AND' },
     { name: 'andConjunction', conjunction: 'AND' },
     { name: 'orConjunction', conjunction: 'OR' },
+    { name: 'nested', conjunction: 'AND', memberOf: 'orConjunction' },
   ];
   const res = data.map(args => Exciter.normalizeGroup(args[1], args[0]));
   expect(res).toEqual(expected);
@@ -743,6 +2679,80 @@ test('normalizeGroupUnsupported', (done) => {
   }
 });
 
+test('normalizeFilters', (done) => {
+  expect.assertions(1);
+  const filters = {
+    orGroup: {
+      group: {
+        conjunction: 'OR',
+      },
+    },
+    grouped: {
+      condition: {
+        value: 'one',
+        memberOf: 'orGroup',
+      },
+    },
+    ungrouped: {
+      condition: 'two',
+    },
+  };
+  expect(Exciter.normalizeFilters(filters)).toEqual({
+    groups: [{ name: 'orGroup', conjunction: 'OR' }],
+    conditions: [
+      { name: 'grouped', value: 'one', memberOf: 'orGroup', operator: '=' },
+      { name: 'ungrouped', value: 'two', operator: '=' },
+    ],
+  });
+  done();
+});
+
+test('buildFilterExpressionNested', (done) => {
+  expect.assertions(2);
+  // (a OR b) AND (c OR (d AND e))
+  const filters = Exciter.normalizeFilters({
+    ab: { group: { conjunction: 'OR' } },
+    cde: { group: { conjunction: 'OR' } },
+    de: { group: { memberOf: 'cde' } },
+    empty: { group: { memberOf: 'de' } },
+    a: { condition: { value: 1, memberOf: 'ab' } },
+    b: { condition: { value: 2, memberOf: 'ab' } },
+    c: { condition: { value: 3, memberOf: 'cde' } },
+    d: { condition: { value: 4, memberOf: 'de' } },
+    e: { condition: { value: 5, memberOf: 'de', negate: true } },
+  });
+  expect(Exciter.buildFilterExpression(filters)).toEqual(
+    '((#a = :a) OR (#b = :b)) AND (((#d = :d) AND (NOT #e = :e)) OR (#c = :c))'
+  );
+  const ungrouped = Exciter.normalizeFilters({
+    ab: { group: { conjunction: 'OR' } },
+    a: { condition: { value: 1, memberOf: 'ab' } },
+    b: { condition: { value: 2, memberOf: 'ab' } },
+    c: { condition: { value: 3 } },
+  });
+  expect(Exciter.buildFilterExpression(ungrouped, 'OR')).toEqual(
+    '((#a = :a) OR (#b = :b)) OR (#c = :c)'
+  );
+  done();
+});
+
+test('buildFilterExpressionInvalidGroups', (done) => {
+  expect.assertions(4);
+  const build = rawFilters => () => Exciter.buildFilterExpression(Exciter.normalizeFilters(rawFilters));
+  expect(build({ a: { condition: { value: 1, memberOf: 'missing' } } }))
+    .toThrow('Unknown group "missing" referenced by "a".');
+  expect(build({ a: { group: { memberOf: 'a' } } }))
+    .toThrow('Group "a" is a member of itself: a > a.');
+  expect(build({
+    a: { group: { memberOf: 'b' } },
+    b: { group: { memberOf: 'c' } },
+    c: { group: { memberOf: 'b' } },
+  })).toThrow('Group "b" is a member of itself: b > c > b.');
+  expect(() => Exciter.buildFilterExpression({ groups: [], conditions: [] }, 'XOR'))
+    .toThrow('Unsupported group conjunction: XOR. Allowed conjunctions: AND, OR.');
+  done();
+});
+
 test('normalizeDataValues', (done) => {
   expect.assertions(1);
   const data = {
@@ -916,6 +2926,76 @@ test('buildConditionExpressionNegate', (done) => {
   done();
 });
 
+test('buildConditionExpressionSize', (done) => {
+  expect.assertions(2);
+  const data = [
+    { name: 'tags', operator: '>', value: 2, size: true },
+    { name: 'title', operator: 'between', value: [1, 5], size: true, negate: true },
+  ];
+  const expected = '((size(#tags) > :tags) AND (NOT size(#title) BETWEEN :title0 AND :title1))';
+  expect(Exciter.buildConditionExpression(data)).toEqual(expected);
+  expect(() => Exciter.buildConditionExpression([{ name: 'tags', operator: 'contains', value: 'a', size: true }]))
+    .toThrow('The "contains" operator does not support size.');
+  done();
+});
+
+test('buildConditionExpressionFunctions', (done) => {
+  expect.assertions(2);
+  const data = [
+    { name: 'tags', operator: 'notcontains', value: 'boring' },
+    { name: 'rating', path: 'stats.rating', operator: 'type', value: 'N' },
+  ];
+  const expected = '((NOT contains(#tags, :tags)) AND (attribute_type(#rating_stats.#rating_rating, :rating)))';
+  expect(Exciter.buildConditionExpression(data)).toEqual(expected);
+  expect(() => Exciter.buildConditionExpression([{ name: 'tags', operator: 'type', value: 'Number' }]))
+    .toThrow('Unsupported attribute type: Number. Allowed types: S, SS, N, NS, B, BS, BOOL, NULL, L, M.');
+  done();
+});
+
+test('buildConditionExpressionCompareTo', (done) => {
+  expect.assertions(4);
+  const data = [
+    Exciter.normalizeCondition({ operator: '<', compareTo: 'limits.max' }, 'price'),
+    Exciter.normalizeCondition({ operator: '!=', compareTo: 'owner', size: true }, 'editor'),
+  ];
+  const expected = '((#price < #price_compareTo_limits.#price_compareTo_max) AND (NOT size(#editor) = #editor_compareTo_owner))';
+  expect(Exciter.buildConditionExpression(data)).toEqual(expected);
+  expect(Exciter.buildExpressionPlaceholders(data, '#')).toEqual({
+    '#price': 'price',
+    '#price_compareTo_limits': 'limits',
+    '#price_compareTo_max': 'max',
+    '#editor': 'editor',
+    '#editor_compareTo_owner': 'owner',
+  });
+  expect(Exciter.buildExpressionPlaceholders(data, ':')).toEqual({});
+  expect(() => Exciter.buildConditionExpression([{ name: 'price', operator: 'in', compareTo: 'max' }]))
+    .toThrow('The "in" operator does not support compareTo.');
+  done();
+});
+
+test('registerOperator', (done) => {
+  expect.assertions(4);
+  expect(Exciter.registerOperator('lengthBetween', (subject, values) => (
+    `size(${subject}) BETWEEN ${values[0]} AND ${values[1]}`
+  )).registerOperator('sameAs', (subject, value) => `${subject} = ${value}`)).toBe(Exciter);
+  const data = [
+    { name: 'title', operator: 'lengthBetween', value: [1, 5], negate: true },
+    { name: 'tags', operator: 'sameAs', value: 2, size: true },
+    { name: 'status', operator: 'sameAs', value: 'draft' },
+    { name: 'editor', operator: 'sameAs', compareTo: 'owner' },
+  ];
+  const expected = [
+    '(NOT size(#title) BETWEEN :title0 AND :title1)',
+    '(size(#tags) = :tags)',
+    '(#status = :status)',
+    '(#editor = #editor_compareTo_owner)',
+  ].join(' AND ');
+  expect(Exciter.buildConditionExpression(data)).toEqual(`(${expected})`);
+  expect(() => Exciter.registerOperator('sameAs', () => '')).toThrow('Operator "sameAs" is already defined.');
+  expect(() => Exciter.registerOperator('between', () => '')).toThrow('Operator "between" is already defined.');
+  done();
+});
+
 test('getTotalCount', (done) => {
   expect.assertions(4);
   const expected = {
@@ -960,6 +3040,347 @@ test('getTotalCount', (done) => {
   });
 });
 
+test('getTotalCountMaxCount', (done) => {
+  expect.assertions(4);
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'query')
+    .callsFake(awsPromiseResolve({ Count: 15, LastEvaluatedKey: { id: 'a' } }));
+  return exciterAllowReject.getTotalCount({ TableName: 'fake' }, 0, 'query', 20)
+    .then((total) => {
+      expect(total).toEqual(30);
+      expect(stub.callCount).toEqual(2);
+      // Continue a count which has already started.
+      return exciterAllowReject.getTotalCount({ TableName: 'fake', ExclusiveStartKey: { id: 'b' } }, 10, 'query', 20);
+    })
+    .then((total) => {
+      expect(total).toEqual(25);
+      expect(stub.thirdCall.args[0].ExclusiveStartKey).toEqual({ id: 'b' });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.query.restore();
+      done();
+    });
+});
+
+test('getTotalCountCached', (done) => {
+  expect.assertions(5);
+  const cached = new Exciter({}, true, { countCache: { ttl: 30 } });
+  const store = cached.countCache.store;
+  const params = {
+    TableName: 'fake',
+    KeyConditionExpression: '(#id = :id)',
+    ExpressionAttributeNames: { '#id': 'id' },
+    ExpressionAttributeValues: { ':id': 'abc' },
+  };
+  const setSpy = sinon.spy(store, 'set');
+  const queryStub = sinon.stub(cached.dynamo, 'query').callsFake(awsPromiseResolve({ Count: 7 }));
+  sinon.stub(cached.dynamo, 'scan').callsFake(awsPromiseResolve({ Count: 9 }));
+  return cached.getTotalCount(_.assign({ Limit: 5, ExclusiveStartKey: { id: 'abc' } }, params))
+    // The limit, start key and sort order don't change the total.
+    .then(() => cached.getTotalCount(_.assign({ ScanIndexForward: false }, params)))
+    .then((total) => {
+      expect(total).toEqual(7);
+      expect(queryStub.callCount).toEqual(1);
+      sinon.assert.calledWith(setSpy, Exciter.countCacheKey(_.assign({ Select: 'COUNT' }, params), 'query'), { count: 7, lowerBound: false }, 30);
+      expect(setSpy.firstCall.args[0]).toMatch(/^exciter:count:fake:[0-9a-f]{64}$/);
+      // Other key conditions and operations are counted separately.
+      return Promise.all([
+        cached.getTotalCount(_.assign({}, params, { ExpressionAttributeValues: { ':id': 'def' } })),
+        cached.getTotalCount({ TableName: 'fake' }, 0, 'scan'),
+      ]);
+    })
+    .then((totals) => {
+      expect(totals).toEqual([7, 9]);
+      expect(store.entries.size).toEqual(3);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      cached.dynamo.query.restore();
+      cached.dynamo.scan.restore();
+      done();
+    });
+});
+
+test('getTotalCountCachedLowerBound', (done) => {
+  expect.assertions(4);
+  const values = {};
+  const store = {
+    get: key => values[key],
+    set: (key, value) => {
+      values[key] = value;
+    },
+  };
+  const cached = new Exciter({}, true, { countCache: { store } });
+  const stub = sinon.stub(cached.dynamo, 'query')
+    .callsFake(awsPromiseResolve({ Count: 10, LastEvaluatedKey: { id: 'a' } }));
+  return cached.getTotalCount({ TableName: 'fake' }, 0, 'query', 10)
+    .then(() => {
+      expect(_.values(values)).toEqual([{ count: 10, lowerBound: true }]);
+      // The cached count reaches a lower maxCount.
+      return cached.getTotalCount({ TableName: 'fake' }, 0, 'query', 5);
+    })
+    .then((total) => {
+      expect(total).toEqual(10);
+      expect(stub.callCount).toEqual(1);
+      // A higher maxCount requires counting again.
+      return cached.getTotalCount({ TableName: 'fake' }, 0, 'query', 20);
+    })
+    .then(total => expect(total).toEqual(20))
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      cached.dynamo.query.restore();
+      done();
+    });
+});
+
+test('getApproximateCount', (done) => {
+  expect.assertions(3);
+  const stub = sinon.stub(exciterAllowReject.dynamo.service, 'describeTable').callsFake(awsPromiseResolve({
+    Table: {
+      ItemCount: 100,
+      GlobalSecondaryIndexes: [{ IndexName: 'global', ItemCount: 80 }],
+      LocalSecondaryIndexes: [{ IndexName: 'local', ItemCount: 60 }],
+    },
+  }));
+  return Promise.all([
+    exciterAllowReject.getApproximateCount('fake'),
+    exciterAllowReject.getApproximateCount('fake', 'global'),
+    exciterAllowReject.getApproximateCount('fake', 'local'),
+  ])
+    .then((counts) => {
+      expect(counts).toEqual([100, 80, 60]);
+      sinon.assert.calledWith(stub, { TableName: 'fake' });
+      return exciterAllowReject.getApproximateCount('fake', 'missing');
+    })
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('Unknown index "missing" on table "fake".'))
+    .then(() => {
+      stub.restore();
+      sinon.stub(exciterAllowReject.dynamo.service, 'describeTable').callsFake(awsPromiseResolve({ Table: { ItemCount: 3 } }));
+      return exciterAllowReject.getApproximateCount('fake', 'global');
+    })
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('Unknown index "global" on table "fake".'))
+    .then(() => {
+      exciterAllowReject.dynamo.service.describeTable.restore();
+      done();
+    });
+});
+
+test('queryMaxCount', (done) => {
+  expect.assertions(2);
+  sinon.stub(exciterAllowReject.dynamo, 'query').callsFake((params) => {
+    if (params.Select === 'COUNT') {
+      const res = _.has(params, 'ExclusiveStartKey') ? {} : { LastEvaluatedKey: { id: 'z' } };
+      return { promise: () => Promise.resolve(_.assign({ Count: 60 }, res)) };
+    }
+    return { promise: () => Promise.resolve({ Items: [], Count: 0, ScannedCount: 0 }) };
+  });
+  return exciterAllowReject.query({ id: 'a' }, 'fake', { includeTotal: true, maxCount: 50 })
+    .then((res) => {
+      expect(_.pick(res, ['totalCount', 'totalCountIsLowerBound'])).toEqual({ totalCount: 60, totalCountIsLowerBound: true });
+      return exciterAllowReject.query({ id: 'a' }, 'fake', { includeTotal: true, maxCount: 200 });
+    })
+    .then((res) => {
+      expect(_.pick(res, ['totalCount', 'totalCountIsLowerBound'])).toEqual({ totalCount: 120 });
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.query.restore();
+      done();
+    });
+});
+
+test('scanApproximateTotal', (done) => {
+  expect.assertions(4);
+  const describeStub = sinon.stub(exciterAllowReject.dynamo.service, 'describeTable')
+    .callsFake(awsPromiseResolve({ Table: { ItemCount: 1000 } }));
+  const scanStub = sinon.stub(exciterAllowReject.dynamo, 'scan').callsFake((params) => {
+    if (params.Select === 'COUNT') {
+      return { promise: () => Promise.resolve({ Count: 4 }) };
+    }
+    return { promise: () => Promise.resolve({ Items: [], Count: 0, ScannedCount: 0 }) };
+  });
+  return exciterAllowReject.scan('fake', { includeTotal: true, approximateTotal: true })
+    .then((res) => {
+      expect(_.pick(res, ['totalCount', 'totalCountIsApproximate'])).toEqual({ totalCount: 1000, totalCountIsApproximate: true });
+      expect(scanStub.callCount).toEqual(1);
+      // Filtered scans are counted.
+      return exciterAllowReject.scan('fake', {
+        includeTotal: true,
+        approximateTotal: true,
+        rawFilters: { active: { condition: true } },
+      });
+    })
+    .then((res) => {
+      expect(_.pick(res, ['totalCount', 'totalCountIsApproximate'])).toEqual({ totalCount: 4 });
+      expect(describeStub.callCount).toEqual(1);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.service.describeTable.restore();
+      exciterAllowReject.dynamo.scan.restore();
+      done();
+    });
+});
+
+test('requestRetry', (done) => {
+  expect.assertions(4);
+  const onRetry = sinon.spy();
+  const retrying = new Exciter({}, true, {
+    retry: { maxAttempts: 3, baseDelay: 10, jitter: false, onRetry },
+  });
+  const throttled = new Error('Throughput exceeded.');
+  throttled.code = 'ProvisionedThroughputExceededException';
+  const waitStub = sinon.stub(Exciter, 'wait').resolves();
+  const stub = sinon.stub(retrying.dynamo, 'get');
+  stub.onCall(0).callsFake(awsPromiseReject(throttled));
+  stub.onCall(1).callsFake(awsPromiseReject(throttled));
+  stub.onCall(2).callsFake(awsPromiseResolve({ Item: { id: 'a' } }));
+  return retrying.load({ id: 'a' }, 'fake')
+    .then((res) => {
+      expect(res).toEqual({ Item: { id: 'a' } });
+      expect(stub.callCount).toEqual(3);
+      expect(waitStub.args).toEqual([[10], [20]]);
+      expect(onRetry.args.map(args => _.omit(args[0], 'params'))).toEqual([
+        { operation: 'load', attempt: 1, delay: 10, error: throttled },
+        { operation: 'load', attempt: 2, delay: 20, error: throttled },
+      ]);
+      sinon.assert.calledWith(onRetry, sinon.match({ params: { TableName: 'fake', Key: { id: 'a' } } }));
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      waitStub.restore();
+      done();
+    });
+});
+
+test('requestRetryDescribeTable', (done) => {
+  expect.assertions(2);
+  const retrying = new Exciter({}, true, {
+    retry: { jitter: false, operations: { getApproximateCount: { maxAttempts: 2 } } },
+  });
+  const throttled = new Error('Rate exceeded.');
+  throttled.code = 'ThrottlingException';
+  const waitStub = sinon.stub(Exciter, 'wait').resolves();
+  const stub = sinon.stub(retrying.dynamo.service, 'describeTable');
+  stub.onCall(0).callsFake(awsPromiseReject(throttled));
+  stub.onCall(1).callsFake(awsPromiseResolve({ Table: { ItemCount: 3 } }));
+  return retrying.getApproximateCount('fake')
+    .then((count) => {
+      expect(count).toEqual(3);
+      expect(waitStub.args).toEqual([[50]]);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      waitStub.restore();
+      done();
+    });
+});
+
+test('requestRetryExhausted', (done) => {
+  expect.assertions(7);
+  const retrying = new Exciter({}, true, {
+    retry: {
+      maxAttempts: 2,
+      retryableErrors: ['InternalServerError'],
+      operations: { getTotalCount: { maxAttempts: 3 } },
+    },
+  });
+  const failed = new Error('Internal server error.');
+  failed.code = 'InternalServerError';
+  const throttled = new Error('Throughput exceeded.');
+  throttled.code = 'ProvisionedThroughputExceededException';
+  const waitStub = sinon.stub(Exciter, 'wait').resolves();
+  const randomStub = sinon.stub(_, 'random').returns(7);
+  const stub = sinon.stub(retrying.dynamo, 'query').callsFake(awsPromiseReject(failed));
+  return retrying.query({ id: 'a' }, 'fake')
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err.cause).toBe(failed);
+      expect(stub.callCount).toEqual(2);
+      return retrying.getTotalCount({ TableName: 'fake' });
+    })
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err.cause).toBe(failed);
+      expect(stub.callCount).toEqual(5);
+      sinon.assert.calledWith(randomStub, 0, 50);
+      sinon.assert.calledWith(randomStub, 0, 100);
+      expect(waitStub.args).toEqual([[7], [7], [7]]);
+      // Errors which aren't retryable are rejected right away.
+      stub.callsFake(awsPromiseReject(throttled));
+      return retrying.getTotalCount({ TableName: 'fake' });
+    })
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err.cause).toBe(throttled);
+      expect(stub.callCount).toEqual(6);
+    })
+    .then(() => {
+      waitStub.restore();
+      randomStub.restore();
+      done();
+    });
+});
+
+test('serializeKey', (done) => {
+  expect.assertions(2);
+  expect(Exciter.serializeKey({ a: 1, b: 'two' })).toEqual(Exciter.serializeKey({ b: 'two', a: 1 }));
+  expect(Exciter.serializeKey({ a: 1 })).not.toEqual(Exciter.serializeKey({ a: '1' }));
+  done();
+});
+
+test('backoffDelay', (done) => {
+  expect.assertions(3);
+  expect(Exciter.backoffDelay(0, 50)).toEqual(50);
+  expect(Exciter.backoffDelay(1, 50)).toEqual(100);
+  expect(Exciter.backoffDelay(3, 50)).toEqual(400);
+  done();
+});
+
+test('backoffDelayJitter', (done) => {
+  expect.assertions(1);
+  const random = sinon.stub(_, 'random').returns(42);
+  expect(Exciter.backoffDelay(2, 50, true)).toEqual(42);
+  sinon.assert.calledWith(random, 0, 200);
+  random.restore();
+  done();
+});
+
+test('mapLimit', (done) => {
+  expect.assertions(2);
+  let pending = 0;
+  let maxPending = 0;
+  return Exciter.mapLimit([1, 2, 3, 4, 5], 2, (item, i) => {
+    pending += 1;
+    maxPending = Math.max(pending, maxPending);
+    return Exciter.wait(5 - i).then(() => {
+      pending -= 1;
+      return item * 2;
+    });
+  })
+    .then((res) => {
+      expect(res).toEqual([2, 4, 6, 8, 10]);
+      expect(maxPending).toEqual(2);
+    })
+    .then(done);
+});
+
+test('wait', (done) => {
+  expect.assertions(1);
+  return Exciter.wait(1)
+    .then(res => expect(res).toBeUndefined())
+    .then(done);
+});
+
+test('mergePlaceholders', (done) => {
+  expect.assertions(2);
+  expect(Exciter.mergePlaceholders(undefined, { ':a': 1 })).toEqual({ ':a': 1 });
+  expect(Exciter.mergePlaceholders({ ':a': 1 }, { ':b': 2 })).toEqual({ ':a': 1, ':b': 2 });
+  done();
+});
+
 test('valueIsEmpty', (done) => {
   expect.assertions(8);
 
@@ -0,0 +1,73 @@
+'use strict';
+
+const mockdate = require('mockdate');
+const MemoryCountCache = require('../lib/MemoryCountCache');
+
+beforeAll(() => {
+  mockdate.set(0);
+});
+
+afterAll(() => {
+  mockdate.reset();
+});
+
+test('memoryCountCache', (done) => {
+  expect.assertions(3);
+  const cache = new MemoryCountCache();
+  expect(cache.maxEntries).toEqual(1000);
+  return cache.get('missing')
+    .then((value) => {
+      expect(value).toBeUndefined();
+      return cache.set('count', { count: 5 }, 60);
+    })
+    .then(() => cache.get('count'))
+    .then(value => expect(value).toEqual({ count: 5 }))
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
+
+test('memoryCountCacheExpiry', (done) => {
+  expect.assertions(3);
+  const cache = new MemoryCountCache();
+  return cache.set('count', { count: 5 }, 60)
+    .then(() => {
+      mockdate.set(59999);
+      return cache.get('count');
+    })
+    .then((value) => {
+      expect(value).toEqual({ count: 5 });
+      mockdate.set(60000);
+      return cache.get('count');
+    })
+    .then((value) => {
+      expect(value).toBeUndefined();
+      expect(cache.entries.size).toEqual(0);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      mockdate.set(0);
+      done();
+    });
+});
+
+test('memoryCountCacheEviction', (done) => {
+  expect.assertions(3);
+  const cache = new MemoryCountCache(2);
+  return cache.set('a', 1, 60)
+    .then(() => cache.set('b', 2, 60))
+    // Reading "a" makes "b" the least recently used count.
+    .then(() => cache.get('a'))
+    .then(() => cache.set('c', 3, 60))
+    .then(() => Promise.all([cache.get('a'), cache.get('b'), cache.get('c')]))
+    .then((values) => {
+      expect(values).toEqual([1, undefined, 3]);
+      return cache.set('c', 4, 60);
+    })
+    .then(() => {
+      expect(Array.from(cache.entries.keys())).toEqual(['a', 'c']);
+      return cache.get('c');
+    })
+    .then(value => expect(value).toEqual(4))
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
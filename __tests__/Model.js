@@ -0,0 +1,238 @@
+'use strict';
+
+const sinon = require('sinon');
+const Exciter = require('../lib/Exciter');
+const Model = require('../lib/Model');
+
+const exciter = new Exciter({
+  accessKeyId: 'COOLACCESSKEYID',
+  secretAccessKey: 'SUPERSECRETSHHHH',
+  region: 'us-east-1',
+}, false);
+const exciterAllowReject = new Exciter();
+
+const definition = {
+  table: 'videos',
+  partitionKey: 'userId',
+  sortKey: 'videoId',
+  attributes: {
+    userId: 'string',
+    title: { type: 'string', required: true },
+    views: 'number',
+  },
+};
+
+/**
+ * Helper to stub an AWS promise resolution.
+ *
+ * @param {mixed} res
+ *   The value to resolve with.
+ *
+ * @return {function}
+ *   The stub function returning an object containing a promis() method
+ *   similar to the aws-sdk which resolves with the passed parameter.
+ */
+function awsPromiseResolve(res) {
+  return () => ({
+    promise: () => Promise.resolve(res),
+  });
+}
+
+test('model', (done) => {
+  expect.assertions(4);
+  const video = exciterAllowReject.model('video', definition);
+  expect(video).toBeInstanceOf(Model);
+  expect(exciterAllowReject.model('video')).toBe(video);
+  expect(video.attributes).toEqual({
+    userId: { type: 'string', required: true },
+    videoId: { required: true },
+    title: { type: 'string', required: true },
+    views: { type: 'number' },
+  });
+  expect(() => exciterAllowReject.model('unknown')).toThrow('Unknown model: unknown.');
+  done();
+});
+
+test('modelInvalidDefinition', (done) => {
+  expect.assertions(2);
+  expect(() => exciterAllowReject.model('video', { table: 'videos' }))
+    .toThrow('Model "video" must define a table and a partitionKey.');
+  expect(() => exciterAllowReject.model('video', {
+    table: 'videos',
+    partitionKey: 'userId',
+    attributes: { tags: 'array' },
+  })).toThrow('Unsupported type "array" for attribute "tags". Allowed types: string, number, boolean, map, list, set, binary.');
+  done();
+});
+
+test('modelWrites', (done) => {
+  expect.assertions(3);
+  const video = exciterAllowReject.model('video', definition);
+  const data = { userId: 'user', videoId: 'video', title: 'Exciting', views: 0 };
+  const putStub = sinon.stub(exciterAllowReject, 'put').resolves({});
+  const patchStub = sinon.stub(exciterAllowReject, 'patch').resolves({});
+  return video.create(data)
+    .then(() => video.put(data, { conditions: {} }))
+    .then(() => video.patch({ userId: 'user', videoId: 'video', $inc: { views: 1 } }))
+    .then(() => {
+      expect(putStub.firstCall.args).toEqual([data, { userId: 'user', videoId: 'video' }, 'videos', true, undefined]);
+      expect(putStub.secondCall.args).toEqual([data, { userId: 'user', videoId: 'video' }, 'videos', false, { conditions: {} }]);
+      expect(patchStub.firstCall.args).toEqual([
+        { userId: 'user', videoId: 'video', $inc: { views: 1 } },
+        { userId: 'user', videoId: 'video' },
+        'videos',
+        undefined,
+      ]);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      putStub.restore();
+      patchStub.restore();
+      done();
+    });
+});
+
+test('modelWriteValidation', (done) => {
+  expect.assertions(6);
+  const video = exciterAllowReject.model('video', definition);
+  const putSpy = sinon.spy(exciterAllowReject, 'put');
+  return video.create({ userId: 42, videoId: 'video', title: '', views: '12' })
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err).toBeInstanceOf(Exciter.errors.ValidationError);
+      expect(err.message).toEqual('Invalid video: userId must be of type string, title is required, views must be of type number.');
+      expect([err.operation, err.table, err.key]).toEqual(['create', 'videos', { userId: 42, videoId: 'video' }]);
+      expect(err.failures).toEqual([
+        { field: 'userId', message: 'must be of type string' },
+        { field: 'title', message: 'is required' },
+        { field: 'views', message: 'must be of type number' },
+      ]);
+    })
+    .then(() => video.patch({ userId: 'user', views: 12 }))
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err.failures).toEqual([{ field: 'videoId', message: 'is required' }]);
+    })
+    .then(() => {
+      expect(putSpy.called).toBe(false);
+      putSpy.restore();
+      done();
+    });
+});
+
+test('modelReads', (done) => {
+  expect.assertions(5);
+  const video = exciterAllowReject.model('video', definition);
+  const getStub = sinon.stub(exciterAllowReject.dynamo, 'get').callsFake(awsPromiseResolve({ Item: {} }));
+  const deleteStub = sinon.stub(exciterAllowReject, 'delete').resolves({});
+  const queryStub = sinon.stub(exciterAllowReject, 'query').resolves({ Items: [] });
+  return video.load({ userId: 'user', videoId: 'video', title: 'Exciting' })
+    .then(() => video.load({ userId: 'user', videoId: 'video' }, { attributes: ['title'] }))
+    .then(() => video.delete({ userId: 'user', videoId: 'video' }, { version: 1 }))
+    .then(() => video.query({ userId: 'user' }, { limit: 5 }))
+    .then(() => video.query({ title: 'Exciting' }, { index: 'title' }))
+    .then(() => {
+      expect(getStub.firstCall.args[0]).toEqual({
+        TableName: 'videos',
+        Key: { userId: 'user', videoId: 'video' },
+      });
+      expect(getStub.secondCall.args[0].ProjectionExpression).toEqual('#projection0_title');
+      expect(deleteStub.firstCall.args).toEqual([{ userId: 'user', videoId: 'video' }, 'videos', { version: 1 }]);
+      expect(queryStub.firstCall.args).toEqual([{ userId: 'user' }, 'videos', { limit: 5 }]);
+      expect(queryStub.secondCall.args).toEqual([{ title: 'Exciting' }, 'videos', { index: 'title' }]);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      getStub.restore();
+      deleteStub.restore();
+      queryStub.restore();
+      done();
+    });
+});
+
+test('modelKeyValidation', (done) => {
+  expect.assertions(2);
+  const video = exciterAllowReject.model('video', definition);
+  return video.load({ userId: 'user' })
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err.message).toEqual('Invalid video key: videoId is required.');
+    })
+    .then(() => video.query({ videoId: 'video' }))
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err.failures).toEqual([{ field: 'userId', message: 'is required' }]);
+    })
+    .then(done);
+});
+
+test('modelQuerySortKeyCondition', (done) => {
+  expect.assertions(3);
+  const events = exciterAllowReject.model('event', {
+    table: 'events',
+    partitionKey: 'userId',
+    sortKey: 'ts',
+    attributes: { userId: 'string', ts: 'number' },
+  });
+  const queryStub = sinon.stub(exciterAllowReject, 'query').resolves({ Items: [] });
+  const between = { operator: 'between', value: [1, 5] };
+  return events.query({ userId: 'user', ts: between })
+    .then(() => {
+      expect(queryStub.firstCall.args[0]).toEqual({ userId: 'user', ts: between });
+      return events.query({ ts: { operator: 'between', value: [1, 'five'] } });
+    })
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err.failures).toEqual([
+        { field: 'userId', message: 'is required' },
+        { field: 'ts', message: 'must be of type number' },
+      ]);
+      expect(queryStub.callCount).toEqual(1);
+    })
+    .then(() => {
+      queryStub.restore();
+      done();
+    });
+});
+
+test('modelValidationNoReject', (done) => {
+  expect.assertions(1);
+  return exciter.model('video', definition).delete({})
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
+
+test('modelTypes', (done) => {
+  expect.assertions(2);
+  const types = ['string', 'number', 'boolean', 'map', 'list', 'set', 'binary'];
+  const model = exciterAllowReject.model('typed', {
+    table: 'typed',
+    partitionKey: 'id',
+    attributes: types.reduce((attributes, type) => {
+      attributes[type] = type;
+      return attributes;
+    }, {}),
+  });
+  expect(model.validate({
+    id: 'typed',
+    string: 'string',
+    number: 1,
+    boolean: false,
+    map: { key: 'value' },
+    list: [1, 'two'],
+    set: exciter.dynamo.createSet(['one']),
+    binary: Buffer.from('binary'),
+  })).toBeTruthy();
+  expect(() => model.validate({
+    id: 'typed',
+    string: 1,
+    number: NaN,
+    boolean: 'false',
+    map: [],
+    list: {},
+    set: ['one'],
+    binary: 'binary',
+  })).toThrow('Invalid typed: string must be of type string, number must be of type number, boolean must be of type boolean, map must be of type map, list must be of type list, set must be of type set, binary must be of type binary.');
+  done();
+});
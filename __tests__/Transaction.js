@@ -0,0 +1,344 @@
+'use strict';
+
+const mockdate = require('mockdate');
+const sinon = require('sinon');
+const Exciter = require('../lib/Exciter');
+const Transaction = require('../lib/Transaction');
+
+const exciter = new Exciter({
+  accessKeyId: 'COOLACCESSKEYID',
+  secretAccessKey: 'SUPERSECRETSHHHH',
+  region: 'us-east-1',
+}, false);
+const exciterAllowReject = new Exciter();
+
+/**
+ * Helper to stub an AWS promise resolution.
+ *
+ * @param {mixed} res
+ *   The value to resolve with.
+ *
+ * @return {function}
+ *   The stub function returning an object containing a promis() method
+ *   similar to the aws-sdk which resolves with the passed parameter.
+ */
+function awsPromiseResolve(res) {
+  return () => ({
+    promise: () => Promise.resolve(res),
+  });
+}
+
+/**
+ * Helper to stub an AWS promise rejection.
+ *
+ * @param {mixed} err
+ *   The value to reject with.
+ *
+ * @return {function}
+ *   The stub function returning an object containing a promis() method
+ *   similar to the aws-sdk which rejects with the passed parameter.
+ */
+function awsPromiseReject(err) {
+  return () => ({
+    promise: () => Promise.reject(err),
+  });
+}
+
+/**
+ * Helper to build a transaction containing one of each operation.
+ *
+ * @param {Exciter} instance
+ *   The Exciter instance to start the transaction with.
+ *
+ * @return {Transaction}
+ *   The transaction.
+ */
+function buildTransaction(instance) {
+  return instance.transaction()
+    .create({ total: 10 }, { orderId: 'order' }, 'orders')
+    .put({ name: 'Luke' }, { userId: 'user' }, 'users')
+    .patch({ stock: 9 }, { productId: 'product' }, 'products')
+    .delete({ cartId: 'cart' }, 'carts')
+    .conditionCheck({ userId: 'user' }, 'users', {
+      active: { condition: { value: true } },
+    });
+}
+
+test('transaction', (done) => {
+  expect.assertions(2);
+  const transaction = exciter.transaction();
+  expect(transaction).toBeInstanceOf(Transaction);
+  expect(transaction.clientRequestToken).toMatch(/^[0-9a-f]{32}$/);
+  done();
+});
+
+test('commitSuccess', (done) => {
+  expect.assertions(3);
+  const stub = sinon.stub(exciterAllowReject.dynamo, 'transactWrite').callsFake(awsPromiseResolve({}));
+  const transaction = buildTransaction(exciterAllowReject);
+  return transaction.commit()
+    .then((res) => {
+      expect(res).toEqual({});
+      expect(stub.firstCall.args[0]).toEqual({
+        TransactItems: [
+          {
+            Put: {
+              TableName: 'orders',
+              Item: { total: 10, orderId: 'order' },
+              ConditionExpression: 'attribute_not_exists(#orderId)',
+              ExpressionAttributeNames: { '#orderId': 'orderId' },
+            },
+          },
+          {
+            Put: {
+              TableName: 'users',
+              Item: { name: 'Luke', userId: 'user' },
+            },
+          },
+          {
+            Update: {
+              TableName: 'products',
+              Key: { productId: 'product' },
+              UpdateExpression: 'SET #stock = :stock',
+              ExpressionAttributeNames: { '#stock': 'stock' },
+              ExpressionAttributeValues: { ':stock': 9 },
+            },
+          },
+          {
+            Delete: {
+              TableName: 'carts',
+              Key: { cartId: 'cart' },
+            },
+          },
+          {
+            ConditionCheck: {
+              TableName: 'users',
+              Key: { userId: 'user' },
+              ConditionExpression: '(#active = :active)',
+              ExpressionAttributeNames: { '#active': 'active' },
+              ExpressionAttributeValues: { ':active': true },
+            },
+          },
+        ],
+        ClientRequestToken: transaction.clientRequestToken,
+      });
+      return transaction.commit({ clientRequestToken: 'my-token' });
+    })
+    .then(() => {
+      expect(stub.secondCall.args[0].ClientRequestToken).toEqual('my-token');
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciterAllowReject.dynamo.transactWrite.restore();
+      done();
+    });
+});
+
+test('commitVersioned', (done) => {
+  expect.assertions(1);
+  const versioned = new Exciter({}, true, { tables: { products: { versionAttribute: 'version' } } });
+  const stub = sinon.stub(versioned.dynamo, 'transactWrite').callsFake(awsPromiseResolve({}));
+  return versioned.transaction()
+    .patch({ stock: 9, version: 2 }, { productId: 'product' }, 'products')
+    .delete({ productId: 'other' }, 'products', { version: 5 })
+    .commit()
+    .then(() => {
+      expect(stub.firstCall.args[0].TransactItems).toEqual([
+        {
+          Update: {
+            TableName: 'products',
+            Key: { productId: 'product' },
+            UpdateExpression: 'SET #stock = :stock, #version_lock_next_version = :version_lock_next',
+            ConditionExpression: '(#version_lock_version = :version_lock)',
+            ExpressionAttributeNames: {
+              '#stock': 'stock',
+              '#version_lock_next_version': 'version',
+              '#version_lock_version': 'version',
+            },
+            ExpressionAttributeValues: { ':stock': 9, ':version_lock_next': 3, ':version_lock': 2 },
+          },
+        },
+        {
+          Delete: {
+            TableName: 'products',
+            Key: { productId: 'other' },
+            ConditionExpression: '(#version_lock_version = :version_lock)',
+            ExpressionAttributeNames: { '#version_lock_version': 'version' },
+            ExpressionAttributeValues: { ':version_lock': 5 },
+          },
+        },
+      ]);
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
+
+test('commitTimestamped', (done) => {
+  expect.assertions(3);
+  const stamped = new Exciter({}, true, { tables: { users: { timestamps: true } } });
+  const stub = sinon.stub(stamped.dynamo, 'transactWrite').callsFake(awsPromiseResolve({}));
+  return stamped.transaction()
+    .create({ name: 'Luke' }, { userId: 'luke' }, 'users')
+    .put({ name: 'Leia' }, { userId: 'leia' }, 'users', false, { preserveCreatedAt: true })
+    .commit()
+    .then(() => {
+      const items = stub.firstCall.args[0].TransactItems;
+      expect(Object.keys(items[0])).toEqual(['Put']);
+      expect(Object.keys(items[1])).toEqual(['Update']);
+      expect(items[1].Update.UpdateExpression).toEqual('SET #name = :name, #updatedAt = :updatedAt, #ifNotExists_createdAt_createdAt = if_not_exists(#ifNotExists_createdAt_createdAt, :ifNotExists_createdAt)');
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(done);
+});
+
+test('commitRetry', (done) => {
+  expect.assertions(4);
+  const stamped = new Exciter({}, true, { tables: { users: { timestamps: true } } });
+  const stub = sinon.stub(stamped.dynamo, 'transactWrite').callsFake(awsPromiseResolve({}));
+  const transaction = stamped.transaction().create({ name: 'Luke' }, { userId: 'luke' }, 'users');
+  const token = transaction.clientRequestToken;
+  mockdate.set(0);
+  return transaction.commit()
+    .then(() => {
+      // Retries send the same items with the same token.
+      mockdate.set(1000);
+      return transaction.commit();
+    })
+    .then(() => {
+      expect(stub.secondCall.args[0]).toEqual(stub.firstCall.args[0]);
+      return transaction.delete({ userId: 'leia' }, 'users').commit();
+    })
+    .then(() => {
+      const params = stub.thirdCall.args[0];
+      expect(params.ClientRequestToken).not.toEqual(token);
+      expect(params.TransactItems.length).toEqual(2);
+      expect(params.TransactItems[0].Put.Item.createdAt).toEqual('1970-01-01T00:00:01.000Z');
+    })
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      mockdate.reset();
+      done();
+    });
+});
+
+test('commitEmpty', (done) => {
+  expect.assertions(1);
+  return exciterAllowReject.transaction().commit()
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('A transaction must contain between 1 and 100 operations. It contains 0.'))
+    .then(done);
+});
+
+test('commitConditionCheckWithoutConditions', (done) => {
+  expect.assertions(1);
+  return exciterAllowReject.transaction()
+    .conditionCheck({ userId: 'user' }, 'users', {})
+    .commit()
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err.message).toEqual('A condition check requires at least one condition.'))
+    .then(done);
+});
+
+test('commitCanceled', (done) => {
+  expect.assertions(5);
+  const canceled = new Error('Transaction cancelled, please refer cancellation reasons for specific reasons [None, None, ConditionalCheckFailed, None, ConditionalCheckFailed]');
+  canceled.code = 'TransactionCanceledException';
+  canceled.CancellationReasons = [
+    { Code: 'None' },
+    { Code: 'None' },
+    { Code: 'ConditionalCheckFailed', Message: 'The conditional request failed' },
+    { Code: 'None' },
+    { Code: 'ConditionalCheckFailed', Message: 'The conditional request failed' },
+  ];
+  sinon.stub(exciterAllowReject.dynamo, 'transactWrite').callsFake(awsPromiseReject(canceled));
+  return buildTransaction(exciterAllowReject).commit()
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err).toBeInstanceOf(Exciter.errors.TransactionCanceledError);
+      expect(err.message).toEqual('Transaction canceled: Update on products (ConditionalCheckFailed), ConditionCheck on users (ConditionalCheckFailed)');
+      expect(err.reasons).toEqual([
+        {
+          index: 2,
+          type: 'Update',
+          table: 'products',
+          key: { productId: 'product' },
+          code: 'ConditionalCheckFailed',
+          message: 'The conditional request failed',
+        },
+        {
+          index: 4,
+          type: 'ConditionCheck',
+          table: 'users',
+          key: { userId: 'user' },
+          code: 'ConditionalCheckFailed',
+          message: 'The conditional request failed',
+        },
+      ]);
+      expect(err.cause).toBe(canceled);
+      expect(err.operation).toEqual('transaction');
+    })
+    .then(() => {
+      exciterAllowReject.dynamo.transactWrite.restore();
+      done();
+    });
+});
+
+test('commitCanceledReasonsInMessage', (done) => {
+  expect.assertions(2);
+  const canceled = new Error('Transaction cancelled, please refer cancellation reasons for specific reasons [ConditionalCheckFailed, None]');
+  canceled.code = 'TransactionCanceledException';
+  sinon.stub(exciterAllowReject.dynamo, 'transactWrite').callsFake(awsPromiseReject(canceled));
+  return exciterAllowReject.transaction()
+    .create({}, { orderId: 'order' }, 'orders')
+    .delete({ cartId: 'cart' }, 'carts')
+    .commit()
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err.code).toEqual('TransactionCanceledException');
+      expect(err.reasons).toEqual([{
+        index: 0,
+        type: 'Put',
+        table: 'orders',
+        key: { orderId: 'order' },
+        code: 'ConditionalCheckFailed',
+        message: undefined,
+      }]);
+    })
+    .then(() => {
+      exciterAllowReject.dynamo.transactWrite.restore();
+      done();
+    });
+});
+
+test('commitCanceledWithoutReasons', (done) => {
+  expect.assertions(2);
+  const canceled = new Error('Transaction cancelled.');
+  canceled.code = 'TransactionCanceledException';
+  sinon.stub(exciterAllowReject.dynamo, 'transactWrite').callsFake(awsPromiseReject(canceled));
+  return exciterAllowReject.transaction()
+    .delete({ cartId: 'cart' }, 'carts')
+    .commit()
+    .then(res => expect(res).toBeUndefined())
+    .catch((err) => {
+      expect(err.message).toEqual('Transaction canceled: Transaction cancelled.');
+      expect(err.reasons).toEqual([]);
+    })
+    .then(() => {
+      exciterAllowReject.dynamo.transactWrite.restore();
+      done();
+    });
+});
+
+test('commitErrorNoReject', (done) => {
+  expect.assertions(1);
+  sinon.stub(exciter.dynamo, 'transactWrite').callsFake(awsPromiseReject(new Error('Dynamo had a sad.')));
+  return exciter.transaction()
+    .delete({ cartId: 'cart' }, 'carts')
+    .commit()
+    .then(res => expect(res).toBeUndefined())
+    .catch(err => expect(err).toBeUndefined())
+    .then(() => {
+      exciter.dynamo.transactWrite.restore();
+      done();
+    });
+});
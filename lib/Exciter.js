@@ -1,7 +1,32 @@
 'use strict';
 
+const crypto = require('crypto');
+const stream = require('stream');
 const aws = require('aws-sdk');
 const _ = require('lodash');
+const errors = require('./errors');
+const MemoryCountCache = require('./MemoryCountCache');
+const Model = require('./Model');
+const Transaction = require('./Transaction');
+
+// Node versions without async iteration still allow iterables to be consumed
+// by libraries which use the well-known symbol.
+const asyncIteratorSymbol = _.get(Symbol, 'asyncIterator', Symbol.for('Symbol.asyncIterator'));
+
+// Condition operators added with Exciter.registerOperator(), keyed by name.
+const customOperators = {};
+
+// The operators built into buildConditionExpression().
+const builtInOperators = [
+  '=', '<', '>', '<=', '>=', '!=', 'in', 'notin', 'between', 'contains', 'notcontains',
+  'startswith', 'exists', 'type',
+];
+
+// The ways operations may handle failures. See the constructor.
+const failureModes = ['reject', 'ignore', 'result'];
+
+// The types which may be checked with the "type" operator.
+const attributeTypes = ['S', 'SS', 'N', 'NS', 'B', 'BS', 'BOOL', 'NULL', 'L', 'M'];
 
 /** Class representing a DynamoDB connection */
 class Exciter {
@@ -25,10 +50,79 @@ class Exciter {
   *   AWS DynamoDB.DocumentClient constructor options.
   * @param {boolean} [rejectOnFail = true]
   *   Whether DynamoDB operations should return a rejected promise if they fail.
+  *   Otherwise, they resolve with undefined. Superseded by config.onFail.
+  * @param {Object} [config]
+  *   Exciter configuration.
+  * @param {Object} [config.tables]
+  *   Settings keyed by table name. These are used as defaults for the options
+  *   of every write to the table.
+  *   - versionAttribute: Enables optimistic locking on the table. The named
+  *     attribute holds a version number which is incremented on every write.
+  *     Writes only succeed if the version in the data matches the stored
+  *     version.
+  *   - emptyValues: How empty values are written to the table. See put().
+  *   - timestamps: Enables createdAt and updatedAt timestamps. See put().
+  *   - preserveCreatedAt: Makes puts keep the stored createdAt. See put().
+  *   - ttlAttribute: The table's time to live attribute. See put().
+  * @param {String} [config.onFail]
+  *   How operations handle failures. Errors are always Exciter.errors, such
+  *   as a ConditionFailedError or a ThrottledError, or an ExciterError when
+  *   there is no more specific type. The original error is their cause.
+  *   - reject: The promise rejects with the error.
+  *   - ignore: The promise resolves with undefined.
+  *   - result: The promise resolves with an object containing the error,
+  *     so failures can be handled without catching them.
+  *   Defaults to reject, or ignore when rejectOnFail is false.
+  * @param {String} [config.cursorSecret]
+  *   The secret used to encrypt the pagination cursors returned by query().
+  * @param {Object} [config.retry]
+  *   The policy for retrying failed requests to DynamoDB. Requests are not
+  *   retried unless maxAttempts is greater than 1. The AWS SDK retries
+  *   requests itself before Exciter does, according to its maxRetries option.
+  *   - maxAttempts: The number of times a request is attempted. Defaults to 1.
+  *   - baseDelay: The delay in milliseconds before the first retry. The delay
+  *     doubles with every retry. Defaults to 50.
+  *   - jitter: Whether to wait a random delay of up to the exponential delay,
+  *     so concurrent retries don't hit DynamoDB at the same time. Defaults to
+  *     true.
+  *   - retryableErrors: The error codes which are retried. Defaults to
+  *     Exciter.retryableErrors, which are throttling and server errors.
+  *   - onRetry: Called before waiting to retry with an object containing the
+  *     operation, the attempt which failed, the delay, the error and the
+  *     params of the request.
+  *   - operations: Overrides of the policy keyed by operation: put, patch,
+  *     load, batchLoad, query, scan, delete, batchWrite, transaction,
+  *     getTotalCount and getApproximateCount.
+  * @param {Object|Boolean} [config.countCache]
+  *   Enables caching the total counts computed by getTotalCount(), keyed by
+  *   table, index, key conditions and filters. Writes do not invalidate
+  *   cached counts, so totals may be stale until they expire.
+  *   - ttl: The number of seconds a count is cached for. Defaults to 60.
+  *   - maxEntries: The number of counts kept by the default in-memory store.
+  *     Defaults to 1000.
+  *   - store: An alternative store, such as one backed by Redis. It must
+  *     implement get(key), resolving with the stored value or undefined, and
+  *     set(key, value, ttl). See MemoryCountCache.
   */
-  constructor(options, rejectOnFail) {
+  constructor(options, rejectOnFail, config) {
     this.dynamo = new aws.DynamoDB.DocumentClient(options);
     this.rejectOnFail = typeof rejectOnFail === 'undefined' ? true : rejectOnFail;
+    this.config = _.defaultsDeep({}, config, { tables: {} });
+    this.models = {};
+
+    this.onFail = this.config.onFail || (this.rejectOnFail ? 'reject' : 'ignore');
+    if (failureModes.indexOf(this.onFail) === -1) {
+      throw new Error(`Unsupported onFail mode: ${this.onFail}. Allowed modes: ${failureModes.join(', ')}.`);
+    }
+    this.rejectOnFail = this.onFail === 'reject';
+
+    if (this.config.countCache) {
+      const countCache = _.defaults({}, this.config.countCache, { ttl: 60 });
+      this.countCache = {
+        ttl: countCache.ttl,
+        store: countCache.store || new MemoryCountCache(countCache.maxEntries),
+      };
+    }
   }
 
   /**
@@ -45,13 +139,15 @@ class Exciter {
    *   contained in the data argument if they are present there.
    * @param {String} table
    *   The table in which to save the document.
+   * @param {Object} options
+   *   Write options. See put().
    *
    * @return {Promise}
    *   Resolves when the document has been written to DynamoDB, rejects if there
    *   was an error.
    */
-  create(data, primaryKey, table) {
-    return this.put(data, primaryKey, table, true);
+  create(data, primaryKey, table, options) {
+    return this.put(data, primaryKey, table, true, options);
   }
 
   /**
@@ -74,18 +170,23 @@ class Exciter {
    *   properties.
    * @param {String} table
    *   The table in which to save the document.
+   * @param {Object} options
+   *   Write options. See patch().
    *
    * @return {Promise}
    *   Resolves when the document has been written to DynamoDB, rejects if there
    *   was an error.
    */
-  update(data, primaryKey, table) {
-    return this.patch(data, primaryKey, table);
+  update(data, primaryKey, table, options) {
+    return this.patch(data, primaryKey, table, options);
   }
 
   /**
    * Creates or entirely replaces an existing record.
    *
+   * Records are only partially replaced when options.preserveCreatedAt is
+   * used with timestamps.
+   *
    * @param {Object} data
    *   Data to store in the given DynamoDB table.
    * @param {PrimaryKey} primaryKey
@@ -98,29 +199,88 @@ class Exciter {
    * @param {Boolean} createOnly
    *   Whether the operation should succeed if a record with the same partition
    *   key value exists.
+   * @param {Object} options
+   *   Write options.
+   * @param {Object} options.conditions
+   *   Conditions the existing record must satisfy for the write to succeed, in
+   *   the same format as the rawFilters accepted by query(). The promise
+   *   rejects with a ConditionFailedError if they are not satisfied.
+   * @param {String} options.versionAttribute
+   *   The attribute used for optimistic locking. Defaults to the table's
+   *   configured versionAttribute. The version in data must match the stored
+   *   version, or the promise rejects with a VersionConflictError. Data
+   *   without a version may only be written if the record has no version.
+   * @param {String|Object} options.emptyValues
+   *   How empty strings, empty arrays and null values in data are written.
+   *   Either a policy for every type, or policies keyed by "string", "array"
+   *   and "null". Policies are "drop" to ignore the value, "remove" to remove
+   *   the attribute and "store" to write the value as-is. Defaults to the
+   *   table's configured emptyValues, or storing every value for puts and
+   *   dropping empty strings and arrays and storing null for patches. Types
+   *   left out of a policy object fall back to the same defaults. Undefined
+   *   values are always dropped.
+   * @param {Boolean|Object} options.timestamps
+   *   Whether to stamp records with the time they were created and updated.
+   *   Defaults to the table's configured timestamps. Pass true to use the
+   *   defaults, or an object to override them.
+   *   {
+   *     createdAt: <attribute name, defaults to "createdAt">,
+   *     updatedAt: <attribute name, defaults to "updatedAt">,
+   *     format: <"iso" for ISO 8601 strings or "epoch" for seconds since the
+   *       epoch, defaults to "iso">
+   *   }
+   *   create() sets both timestamps. put() sets updatedAt and keeps the
+   *   createdAt in data, or sets it to the current time, since a put can't
+   *   read the stored record. patch() sets updatedAt and only sets createdAt
+   *   if the record doesn't have one.
+   * @param {Boolean} options.preserveCreatedAt=false
+   *   Whether put() should keep the stored createdAt when data doesn't
+   *   contain one. The record is then written by an update which only sets
+   *   createdAt if the record doesn't have one, so the put no longer
+   *   replaces the record: stored attributes which are not in data are kept.
+   *   Defaults to the table's configured preserveCreatedAt.
+   * @param {Number|Date|null} options.ttl
+   *   When the record should expire, either as a Date or a number of seconds
+   *   from now. Written to the ttlAttribute as seconds since the epoch. Pass
+   *   null to remove the expiry.
+   * @param {String} options.ttlAttribute=ttl
+   *   The attribute DynamoDB's time to live is configured to read. Defaults to
+   *   the table's configured ttlAttribute.
+   * @param {String} options.returnValues
+   *   The DocumentClient ReturnValues parameter, such as ALL_NEW or ALL_OLD.
+   *   When provided, the promise resolves with the returned item instead of
+   *   the DocumentClient response.
+   * @param {String} options.returnConsumedCapacity
+   *   The DocumentClient ReturnConsumedCapacity parameter: INDEXES, TOTAL or
+   *   NONE. When provided, the promise resolves with the returned item and
+   *   the consumed capacity is available as its $metadata.consumedCapacity
+   *   property.
    *
    * @return {Promise}
    *   Resolves when the document has been written to DynamoDB, rejects if there
-   *   was an error.
+   *   was an error. Resolves with the returned item if returnValues or
+   *   returnConsumedCapacity was provided. See formatWriteResult().
    */
-  put(data, primaryKey, table, createOnly) {
-    const payload = {
-      TableName: table,
-      Item: _.assign({}, data, primaryKey),
-    };
-
-    if (createOnly) {
-      payload.ConditionExpression = Object.keys(primaryKey)
-        .map(name => `attribute_not_exists(#${name})`)
-        .join(' OR ');
-      payload.ExpressionAttributeNames = this.constructor.buildExpressionPlaceholders(
-        this.constructor.normalizeDataValues(primaryKey),
-        '#'
-      );
-    }
+  put(data, primaryKey, table, createOnly, options) {
+    const opts = this.tableOptions(table, options);
+    const method = this.constructor.isUpdatingPut(createOnly, opts) ? 'update' : 'put';
 
-    return this.dynamo.put(payload).promise()
-      .catch(this.catchHandler.bind(this));
+    return Promise.resolve()
+      .then(() => {
+        const payload = _.assign(this.constructor.buildPutParams(
+          data,
+          primaryKey,
+          table,
+          createOnly,
+          opts
+        ), this.constructor.buildReturnParams(opts));
+        return this.request(method, payload, 'put');
+      })
+      .then(res => this.constructor.formatWriteResult(res, opts))
+      .catch(this.writeCatchHandler(
+        !createOnly && _.has(opts, 'versionAttribute') && _.isEmpty(opts.conditions),
+        { operation: createOnly ? 'create' : 'put', table, key: primaryKey }
+      ));
   }
 
   /**
@@ -136,35 +296,84 @@ class Exciter {
    *   structure provided while leaving any missing sub-properties untouched,
    *   but unfortunately we are prevented by this issue:
    *   https://forums.aws.amazon.com/thread.jspa?threadID=162907
+   *   The deep option works around it by writing each nested value to its
+   *   own path.
+   *   Properties named after an update operator ($inc, $add, $append, $remove,
+   *   $delete or $ifNotExists) modify attributes in place instead, which
+   *   avoids reading the record first. See normalizeUpdateOperations().
    * @param {PrimaryKey} primaryKey
    *   A {@link PrimaryKey} object containing partitionKey and sortKey key/value
    *   properties.
    * @param {String} table
    *   The table in which to save the document.
+   * @param {Object} options
+   *   Write options.
+   * @param {Object} options.conditions
+   *   Conditions the existing record must satisfy for the write to succeed, in
+   *   the same format as the rawFilters accepted by query(). The promise
+   *   rejects with a ConditionFailedError if they are not satisfied.
+   * @param {String} options.versionAttribute
+   *   The attribute used for optimistic locking. See put().
+   * @param {String|Object} options.emptyValues
+   *   How empty values in data are written. See put(). Attributes with the
+   *   "remove" policy are removed from the stored record.
+   * @param {Boolean} options.deep=false
+   *   Whether nested objects in data should be merged into the stored maps
+   *   rather than replacing them. Each leaf value is written to its own path,
+   *   so attribute names containing dots are not supported in deep mode.
+   * @param {Boolean} options.createMissing=false
+   *   Whether maps which do not exist yet should be created when writing to
+   *   nested paths. DynamoDB can't write to a path whose parent map is
+   *   missing, so when it reports an invalid path the missing maps are
+   *   created one level at a time and the update is retried.
+   * @param {Boolean|Object} options.timestamps
+   *   Whether to stamp the record with the time it was created and updated.
+   *   See put().
+   * @param {Number|Date|null} options.ttl
+   *   When the record should expire. See put().
+   * @param {String} options.ttlAttribute=ttl
+   *   The time to live attribute. See put().
+   * @param {String} options.returnValues
+   *   The DocumentClient ReturnValues parameter: ALL_NEW, UPDATED_NEW,
+   *   ALL_OLD, UPDATED_OLD or NONE. See put().
+   * @param {String} options.returnConsumedCapacity
+   *   The DocumentClient ReturnConsumedCapacity parameter. See put().
    *
    * @return {Promise}
    *   Resolves when the document has been written to DynamoDB, rejects if there
-   *   was an error.
+   *   was an error. Resolves with the returned item if returnValues or
+   *   returnConsumedCapacity was provided. See formatWriteResult().
    */
-  patch(data, primaryKey, table) {
+  patch(data, primaryKey, table, options) {
+    const opts = this.tableOptions(table, options);
+
     return Promise.resolve()
       .then(() => {
-        // Populate data values into an array for buildExpressionPlaceholders().
-        // Do not attempt to save primaryKey values as attributes. The Key
-        // property in the payload takes care of that.
-        const values = this.constructor.normalizeDataValues(_.omit(data, Object.keys(primaryKey)));
-
-        const payload = {
-          TableName: table,
-          Key: primaryKey,
-          UpdateExpression: this.constructor.buildUpdateExpression(values),
-          ExpressionAttributeNames: this.constructor.buildExpressionPlaceholders(values, '#'),
-          ExpressionAttributeValues: this.constructor.buildExpressionPlaceholders(values, ':'),
-        };
+        const payload = _.assign(
+          this.constructor.buildPatchParams(data, primaryKey, table, opts),
+          this.constructor.buildReturnParams(opts)
+        );
+        return this.request('update', payload, 'patch')
+          .catch((err) => {
+            const invalidPath = _.get(err, 'code') === 'ValidationException'
+              && /document path/.test(err.message);
+            if (!opts.createMissing || !invalidPath) {
+              throw err;
+            }
 
-        return this.dynamo.update(payload).promise();
+            const levels = this.constructor.buildParentMapParams(data, primaryKey, table, opts);
+            return levels
+              .reduce((chain, params) => chain.then(() => (
+                this.request('update', params, 'patch')
+              )), Promise.resolve())
+              .then(() => this.request('update', payload, 'patch'));
+          });
       })
-      .catch(this.catchHandler.bind(this));
+      .then(res => this.constructor.formatWriteResult(res, opts))
+      .catch(this.writeCatchHandler(
+        _.has(opts, 'versionAttribute') && _.isEmpty(opts.conditions),
+        { operation: 'patch', table, key: primaryKey }
+      ));
   }
 
   /**
@@ -175,14 +384,174 @@ class Exciter {
    *   properties.
    * @param {String} table
    *   The table in which to save the document.
+   * @param {Object} options
+   *   Read options.
+   * @param {String[]} options.attributes
+   *   The attributes to retrieve, instead of the whole document. Dots in an
+   *   attribute refer to nested attributes. The versionAttribute of the table
+   *   is always retrieved.
+   * @param {Boolean} options.mustExist=false
+   *   Whether to fail with an ItemNotFoundError if the record does not exist.
+   *   Otherwise, the result does not contain an Item.
    *
    * @return {Promise}
    *   Resolves when the documents have been retrieved from DynamoDB,
-   *   rejects if there was an error retrieving the documents.
+   *   rejects if there was an error retrieving the documents. When the table
+   *   has a versionAttribute, the result's version property contains the
+   *   version of the retrieved document.
+   */
+  load(primaryKey, table, options) {
+    const versionAttribute = this.tableOptions(table).versionAttribute;
+    const attributes = _.get(options, 'attributes');
+
+    return Promise.resolve()
+      .then(() => {
+        const params = { TableName: table, Key: primaryKey };
+        if (!_.isEmpty(attributes)) {
+          this.constructor.addProjection(params, _.compact(attributes.concat(versionAttribute)));
+        }
+        return this.request('get', params, 'load');
+      })
+      .then((res) => {
+        if (!_.has(res, 'Item') && _.get(options, 'mustExist')) {
+          throw new errors.ItemNotFoundError('The record does not exist.');
+        }
+        if (versionAttribute && _.has(res, 'Item')) {
+          return _.assign({ version: res.Item[versionAttribute] }, res);
+        }
+        return res;
+      })
+      .catch(err => this.catchHandler(err, { operation: 'load', table, key: primaryKey }));
+  }
+
+  /**
+   * Retrieves many documents from a single table.
+   *
+   * @see batchLoad
+   *
+   * @param {PrimaryKey[]} primaryKeys
+   *   An array of {@link PrimaryKey} objects identifying the documents to
+   *   retrieve.
+   * @param {String} table
+   *   The table from which to retrieve the documents.
+   * @param {Object} options
+   *   Batch options. See batchLoad().
+   *
+   * @return {Promise}
+   *   Resolves with an array of documents in the same order as primaryKeys.
+   *   Documents which do not exist are represented by null. Failures are
+   *   handled as configured by onFail.
+   */
+  loadMany(primaryKeys, table, options) {
+    return this.batchLoad({ [table]: primaryKeys }, options)
+      // Failures returned as results are passed on as they are.
+      .then(items => (_.isError(_.get(items, 'error')) ? items : _.get(items, [table])));
+  }
+
+  /**
+   * Retrieves many documents from one or more tables.
+   *
+   * Keys are requested in chunks of 100 using BatchGetItem. Any keys DynamoDB
+   * leaves unprocessed are requested again with exponential backoff.
+   *
+   * @param {Object<String, PrimaryKey[]>} requests
+   *   Arrays of {@link PrimaryKey} objects keyed by the table from which to
+   *   retrieve them.
+   * @param {Object} options
+   *   Batch options.
+   * @param {Integer} options.maxRetries=8
+   *   The number of times unprocessed keys will be retried before failing.
+   * @param {Integer} options.baseDelay=50
+   *   The number of milliseconds to wait before the first retry. The delay
+   *   doubles with each subsequent retry.
+   * @param {String[]} options.attributes
+   *   The attributes to retrieve from every table, instead of whole
+   *   documents. Key attributes are always retrieved. See load().
+   *
+   * @return {Promise}
+   *   Resolves with arrays of documents keyed by table. Each array is in the
+   *   same order as the requested keys and contains null for documents which
+   *   do not exist.
+   */
+  batchLoad(requests, options) {
+    const opts = _.defaults({}, options, { maxRetries: 8, baseDelay: 50 });
+
+    return Promise.resolve()
+      .then(() => {
+        // BatchGetItem rejects requests containing the same key twice.
+        const keys = _.flatMap(Object.keys(requests), table => _.uniqBy(
+          requests[table],
+          key => this.constructor.serializeKey(key)
+        ).map(key => ({ table, key })));
+
+        // Documents are matched with their keys, so keys must be retrieved.
+        // Tables without keys aren't requested and have no key names.
+        const requested = _.omitBy(requests, _.isEmpty);
+        const projections = _.mapValues(requested, tableKeys => (_.isEmpty(opts.attributes)
+          ? {}
+          : this.constructor.addProjection({}, Object.keys(tableKeys[0]).concat(opts.attributes))
+        ));
+
+        const chunks = _.chunk(keys, 100).map(chunk => chunk.reduce((requestItems, entry) => {
+          requestItems[entry.table] = requestItems[entry.table]
+            || _.assign({ Keys: [] }, projections[entry.table]);
+          requestItems[entry.table].Keys.push(entry.key);
+          return requestItems;
+        }, {}));
+
+        return Promise.all(chunks.map(requestItems => this.batchGetItems(requestItems, opts, 0)));
+      })
+      .then((responses) => {
+        // Index the retrieved documents by table and key.
+        const found = {};
+        responses.forEach((response) => {
+          Object.keys(response).forEach((table) => {
+            const keyNames = Object.keys(requests[table][0]);
+            found[table] = found[table] || {};
+            response[table].forEach((item) => {
+              found[table][this.constructor.serializeKey(_.pick(item, keyNames))] = item;
+            });
+          });
+        });
+
+        return _.mapValues(requests, (keys, table) => keys.map(
+          key => _.get(found, [table, this.constructor.serializeKey(key)], null)
+        ));
+      })
+      .catch(err => this.catchHandler(err, { operation: 'batchLoad' }));
+  }
+
+  /**
+   * Sends a BatchGetItem request, retrying any unprocessed keys.
+   *
+   * @param {Object} requestItems
+   *   The RequestItems parameter to pass to DocumentClient.batchGet().
+   * @param {Object} options
+   *   Batch options. See batchLoad().
+   * @param {Integer} attempt
+   *   The number of retries which have already been attempted.
+   *
+   * @return {Promise}
+   *   Resolves with arrays of retrieved documents keyed by table.
    */
-  load(primaryKey, table) {
-    return this.dynamo.get({ TableName: table, Key: primaryKey }).promise()
-      .catch(this.catchHandler.bind(this));
+  batchGetItems(requestItems, options, attempt) {
+    return this.request('batchGet', { RequestItems: requestItems }, 'batchLoad')
+      .then((res) => {
+        const responses = res.Responses || {};
+
+        if (_.isEmpty(res.UnprocessedKeys)) {
+          return responses;
+        }
+        if (attempt >= options.maxRetries) {
+          throw new Error(`Unable to load all keys after ${options.maxRetries} retries.`);
+        }
+
+        return this.constructor.wait(this.constructor.backoffDelay(attempt, options.baseDelay))
+          .then(() => this.batchGetItems(res.UnprocessedKeys, options, attempt + 1))
+          .then(retried => _.mergeWith({}, responses, retried, (a, b) => (
+            _.isArray(a) ? a.concat(b) : undefined
+          )));
+      });
   }
 
   /**
@@ -190,7 +559,9 @@ class Exciter {
    *
    * @param {PrimaryKey} primaryKey
    *   A {@link PrimaryKey} object containing key value pairs for the DynamoDB
-   *   partitionKey and optionally sortKey.
+   *   partitionKey and optionally sortKey. The sortKey may be a condition
+   *   object using the =, <, <=, >, >=, between or startswith operator.
+   *   Other key conditions reject before DynamoDB is queried.
    * @param {String} table
    *   The table in which to query.
    * @param {Object} query
@@ -200,15 +571,40 @@ class Exciter {
    *   performed against the table directly.
    * @param {Object} query.rawFilters={}
    *   A set of filtering operations keyed by name.
+   * @param {String[]} query.attributes
+   *   The attributes to retrieve, instead of whole records. Dots in an
+   *   attribute refer to nested attributes. Include the key attributes when
+   *   using cursors, includePreviousKey or fillPage. The table's
+   *   versionAttribute is always retrieved.
    * @param {Mixed} query.rawFilters[].path
    *   The path to the property to filter against.
    * @param {Mixed} query.rawFilters[].value
    *   The value of the property to filter against.
    * @param {String} query.rawFilters[].operator
+   *   One of =, !=, <, <=, >, >=, in, notin, between, contains, notcontains,
+   *   startswith, exists, type or an operator added with registerOperator().
+   *   The type operator checks the DynamoDB type of the property, such as
+   *   "S" or "NS".
    * @param {String} query.rawFilters[].memberOf
+   *   The name of the group a condition or group belongs to. Groups may be
+   *   nested in other groups to any depth.
    * @param {Boolean} query.rawFilters[].negate
+   * @param {Boolean} query.rawFilters[].size
+   *   Whether to compare the size of the property rather than its value.
+   * @param {String} query.rawFilters[].compareTo
+   *   The path to another property to compare against, in place of a value.
+   *   Only supported by the =, !=, <, <=, > and >= operators.
+   * @param {String} query.conjunction=AND
+   *   The conjunction joining the groups and conditions which are not a
+   *   member of a group: AND or OR.
    * @param {Integer} query.limit=10
    *   The number of results to return per page.
+   * @param {Boolean} query.fillPage=false
+   *   DynamoDB applies the limit before filtering, so filtered pages may
+   *   contain fewer items. With fillPage, follow-up requests are made until
+   *   the page contains limit items or there are no more records. The
+   *   LastEvaluatedKey is then the key of the last item of the page. Can't be
+   *   combined with the page option.
    * @param {Boolean} query.pageForward=true
    *   Whether the query should be running in forward sort order. Passing false
    *   will result in reverse sort order. Defaults to true (forward sort order).
@@ -221,18 +617,77 @@ class Exciter {
    *   may also contain the string "last" which will return the last page of
    *   results as if you had paginated to the last page in the result set. This
    *   is useful since otherwise the startKey which would result in the last
-   *   page is not known until you paginate all the way through the results.
+   *   is not known until you paginate all the way through the results. The
+   *   records are counted first to find how many items the last page holds,
+   *   including when filters apply. Its LastEvaluatedKey may be passed as the
+   *   startKey with pageForward reversed to retrieve the previous page.
+   * @param {Integer} query.page
+   *   A page number, starting at 1, to retrieve instead of passing a
+   *   startKey. The response includes the currentPage and the totalPages.
+   *   DynamoDB can't seek to an offset, so the items before the page are
+   *   skipped with COUNT queries which only return the key to continue from.
+   *   Skipped items still consume read capacity as if they were retrieved,
+   *   and the total is counted separately, so the cost of a page grows with
+   *   its number. Pages count evaluated items, like limit, so filtered pages
+   *   may contain fewer items. A page after the last page is empty.
+   * @param {Integer} query.maxSkipRequests=10
+   *   The maximum number of requests made to skip to a page. Each request
+   *   skips up to 1MB of items. The promise rejects if the page is further.
    * @param {Object} query.includeTotal=false
    *   Determines whether a total count should be included in the response.
    *   Setting this to true will cause a second parallel request to DynamoDB.
    *   DynamoDB does not provide total counts within a regular query response,
    *   so a separate request is necessary to retrieve that information.
+   * @param {Integer} query.maxCount
+   *   Stops counting the total once this many records have been counted. If
+   *   the total reaches maxCount, the response includes a
+   *   totalCountIsLowerBound property set to true and the total is at least
+   *   totalCount.
+   * @param {Boolean} query.includePreviousKey=false
+   *   Determines whether the response should include a PreviousKey: the
+   *   startKey of the page before this one. It is null when the previous page
+   *   is the first page, which is retrieved without a startKey, and omitted
+   *   when this is the first page. Setting this to true will cause a reverse
+   *   query to DynamoDB after the page has been retrieved.
+   * @param {Boolean} query.cursors=false
+   *   Whether the result should include opaque nextCursor and prevCursor
+   *   properties for retrieving the following and preceding pages. Cursors
+   *   are encrypted with the configured cursorSecret, so they can't be read
+   *   or altered by clients and do not reveal the key schema. nextCursor is
+   *   omitted on the last page and prevCursor is omitted on the first page.
+   * @param {String} query.cursor
+   *   A cursor returned by a previous query, used in place of startKey. The
+   *   query must have the same table, index, primaryKey and rawFilters as
+   *   the query which returned the cursor, otherwise the promise rejects
+   *   with an InvalidCursorError. Implies query.cursors.
    *
    * @return {Promise}
    *   A promise which resolves with the query result or rejects if there was an
-   *   error.
+   *   error. When the table has a versionAttribute, the result's versions
+   *   property contains the version of each item, in the same order.
    */
   query(primaryKey, table, query) {
+    return this.queryRecords(primaryKey, table, query)
+      .catch(err => this.catchHandler(err, { operation: 'query', table, key: primaryKey }));
+  }
+
+  /**
+   * Queries DynamoDB without handling failures, so operations which make
+   * several queries can handle their failures once.
+   *
+   * @see query
+   *
+   * @param {PrimaryKey} primaryKey
+   *   The key conditions of the query. See query().
+   * @param {String} table
+   *   The table to query.
+   * @param {Object} query
+   *   Query options. See query().
+   *
+   * @return {Promise}
+   *   Resolves with the query result. Rejects if there was an error.
+   */
+  queryRecords(primaryKey, table, query) {
     const q = _.defaultsDeep({}, query, {
       rawFilters: {},
       limit: 10,
@@ -240,35 +695,45 @@ class Exciter {
       sortAscending: true,
       includeTotal: false,
       startKey: null,
+      maxSkipRequests: 10,
     });
+    const versionAttribute = this.tableOptions(table).versionAttribute;
+
+    let backward = false;
+    let params;
+    let position;
 
     return Promise.resolve()
       .then(() => {
-        let retrieveTotal = q.includeTotal;
+        // A cursor is a signed start key and the direction to page from it.
+        if (!_.isNil(q.cursor)) {
+          const cursor = this.decodeCursor(q.cursor, primaryKey, table, q);
+          q.startKey = cursor.key;
+          backward = cursor.direction === 'prev';
+          q.pageForward = backward ? !q.pageForward : q.pageForward;
+        }
 
+        if (_.isNil(q.page)) {
+          return undefined;
+        }
+        return this.skipToPage(primaryKey, table, q)
+          .then((pagePosition) => {
+            position = pagePosition;
+            q.startKey = position.startKey;
+          });
+      })
+      .then(() => {
         // Populate conditions and condition groups from filters.
-        const filters = {};
-        ['groups', 'conditions'].forEach((array) => {
-          const type = _.trimEnd(array, 's');
-          filters[array] = Object.keys(q.rawFilters)
-            .filter(name => _.has(q.rawFilters[name], type))
-            .map(name => this.constructor[`normalize${_.upperFirst(type)}`](
-              q.rawFilters[name][type],
-              name
-            ));
-        });
+        const filters = this.constructor.normalizeFilters(q.rawFilters);
 
         // Normalize and store primaryKey properties as an array of values.
-        const keys = Object.keys(primaryKey)
-          // Remove empty key properties. The sort key is optional.
-          .filter(name => !this.constructor.valueIsEmpty(primaryKey[name]))
-          .map(name => this.constructor.normalizeCondition(primaryKey[name], name));
+        const keys = this.constructor.normalizeKeys(primaryKey);
 
         // Combine keys and conditions for expression attribute substition.
         const values = keys.concat(filters.conditions);
 
         // Build params to pass to the DocumentClient.
-        const params = {
+        params = {
           KeyConditionExpression: this.constructor.buildConditionExpression(keys),
           ExpressionAttributeNames: this.constructor.buildExpressionPlaceholders(values, '#'),
           ExpressionAttributeValues: this.constructor.buildExpressionPlaceholders(values, ':'),
@@ -279,37 +744,18 @@ class Exciter {
 
         // Add optional params.
         if (!_.isEmpty(filters.conditions)) {
-          const remainingConditions = _.cloneDeep(filters.conditions);
-
-          // Build groupped expressions.
-          let expressions = filters.groups.reduce((groupped, group) => {
-            const conditions = _.remove(remainingConditions, con => con.memberOf === group.name);
-            if (conditions.length > 0) {
-              groupped.push(
-                this.constructor.buildConditionExpression(conditions, group.conjunction)
-              );
-            }
-            return groupped;
-          }, []);
-
-
-          // Concatenate groupped conditions with ungroupped conditions.
-          if (remainingConditions.length > 0) {
-            expressions = expressions.concat(
-              this.constructor.buildConditionExpression(remainingConditions)
-            );
-          }
-
-          params.FilterExpression = expressions.join(' AND ');
+          params.FilterExpression = this.constructor.buildFilterExpression(filters, q.conjunction);
         }
         if (q.index) {
           params.IndexName = q.index;
         }
+        if (!_.isEmpty(q.attributes)) {
+          this.constructor.addProjection(params, _.compact(q.attributes.concat(versionAttribute)));
+        }
         if (!_.isNull(q.startKey)) {
           if (q.startKey === 'last') {
             // Reverse the scan direction.
             params.ScanIndexForward = !params.ScanIndexForward;
-            retrieveTotal = true;
           }
           else {
             params.ExclusiveStartKey = q.startKey;
@@ -319,11 +765,18 @@ class Exciter {
           params.Select = q.select;
         }
 
-        const requests = [this.dynamo.query(params).promise()];
+        if (q.startKey === 'last') {
+          return this.queryLastPage(params, keys, table, q);
+        }
+
+        // There is nothing to retrieve after the last page.
+        const requests = [_.get(position, 'beyondEnd')
+          ? Promise.resolve({ Items: [], Count: 0, ScannedCount: 0 })
+          : this.queryPage(params, q.fillPage)];
 
         // Optionally include a total count query.
-        if (retrieveTotal) {
-          requests.push(this.getTotalCount(params));
+        if (q.includeTotal) {
+          requests.push(this.countTotal(params, 0, 'query', q.maxCount));
         }
 
         return Promise.all(requests);
@@ -333,7 +786,7 @@ class Exciter {
 
         // Get the total count from our count query.
         if (res.length > 1 && !_.isNil(res[1])) {
-          result.totalCount = res[1];
+          _.assign(result, this.constructor.describeTotal(res[1], q.maxCount));
         }
 
         // If pagination is going backwards, reverse the result.
@@ -341,202 +794,2332 @@ class Exciter {
           _.reverse(result.Items);
         }
 
-        // If the client requested the last page, limit according to pagination
-        // direction.
-        if (q.startKey === 'last') {
-          // Remove items which would be excluded on the last page if we didn't
-          // have to reverse the scan direction to get to the last page.
-          result.Items.splice(0, result.Items.length - (result.totalCount % q.limit));
-          delete result.LastEvaluatedKey;
+        // Expose the versions of the items so they can be written back.
+        if (versionAttribute && _.has(result, 'Items')) {
+          result.versions = result.Items.map(item => item[versionAttribute]);
         }
 
-        return result;
-      })
-      .catch(this.catchHandler.bind(this));
-  }
+        if (position) {
+          result.currentPage = q.page;
+          result.totalPages = Math.ceil(position.totalItems / q.limit);
+        }
 
-  /**
-   * Formats data into DynamoDB documents and sends them to
-   * DynamoDB.
-   *
-   * @param {PrimaryKey} primaryKey
-   *   A {@link PrimaryKey} object containing key value pairs for the DynamoDB
-   *   partitionKey and sortKey.
-   * @param {String} table
-   *   The table from which to delete the document.
-   *
-   * @return {Promise}
-   *   Resolves when the documents have been written to DynamoDB,
-   *   rejects if there was an error either opening the documents or writing
-   *   to DynamoDB.
-   */
-  delete(primaryKey, table) {
-    // Set available id attributes.
-    const payload = {
-      TableName: table,
-      Key: primaryKey,
-    };
+        if (q.cursors || !_.isNil(q.cursor)) {
+          this.addCursors(result, res[0].LastEvaluatedKey, backward, primaryKey, table, q);
+        }
+
+        if (!q.includePreviousKey) {
+          return result;
+        }
 
-    return this.dynamo.delete(payload).promise()
-    .catch(this.catchHandler.bind(this));
+        return this.getPreviousKey(params, result, res[0].LastEvaluatedKey, q)
+          .then((previousKey) => {
+            if (!_.isUndefined(previousKey)) {
+              result.PreviousKey = previousKey;
+            }
+            return result;
+          });
+      });
   }
 
   /**
-   * Gets the total count for a given query.
+   * Retrieves a page of query results.
+   *
+   * @see query
    *
    * @param {Object} params
-   *   The params for the query for which we want to get a total count. These
-   *   are the parameters which would be passed to DocumentClient.query().
-   * @param {Integer} startCount=0
-   *   The number from which to start counting. This is used when the result is
-   *   too large to count with one request.
+   *   The params to pass to DocumentClient.query().
+   * @param {Boolean} fill
+   *   Whether to keep querying until Limit items pass the FilterExpression or
+   *   there are no more records.
    *
    * @return {Promise}
-   *   Resolves with the total number of records which satisfy the given query.
+   *   Resolves with the DocumentClient response. When filling, the Items of
+   *   every request are combined and trimmed to Limit, and LastEvaluatedKey
+   *   is the key of the last item if there may be more records.
    */
-  getTotalCount(params, startCount) {
-    return Promise.resolve()
-      .then(() => {
-        let totalCount = startCount || 0;
-        const countParams = _.assign({}, params, { Select: 'COUNT' });
-
-        // Do not limit count queries.
-        delete countParams.Limit;
+  queryPage(params, fill) {
+    if (!fill) {
+      return this.request('query', params);
+    }
 
-        // Start the count query at the beginning when we know we haven't
-        // started counting yet.
-        if (totalCount === 0) {
-          delete countParams.ExclusiveStartKey;
-        }
+    const next = (page, keyNames) => {
+      const pageParams = _.clone(params);
+      if (_.has(page, 'LastEvaluatedKey')) {
+        pageParams.ExclusiveStartKey = page.LastEvaluatedKey;
+      }
 
-        return this.dynamo.query(countParams).promise()
-          .then((res) => {
-            totalCount += res.Count;
+      return this.request('query', pageParams)
+        .then((res) => {
+          const items = page.Items.concat(res.Items);
+          const more = _.has(res, 'LastEvaluatedKey');
+          const names = more ? Object.keys(res.LastEvaluatedKey) : keyNames;
+
+          if (items.length < params.Limit && more) {
+            return next({
+              Items: items,
+              ScannedCount: page.ScannedCount + res.ScannedCount,
+              LastEvaluatedKey: res.LastEvaluatedKey,
+            }, names);
+          }
 
-            // Repeat this operation if we weren't able to count all records.
-            if (_.has(res, 'LastEvaluatedKey')) {
-              countParams.ExclusiveStartKey = res.LastEvaluatedKey;
-              return this.getTotalCount(countParams, totalCount);
-            }
+          // Later items will be retrieved with the next page.
+          const filled = {
+            Items: _.take(items, params.Limit),
+            ScannedCount: page.ScannedCount + res.ScannedCount,
+          };
+          filled.Count = filled.Items.length;
+          if (more || items.length > params.Limit) {
+            filled.LastEvaluatedKey = _.pick(_.last(filled.Items), names);
+          }
+          return filled;
+        });
+    };
 
-            return totalCount;
-          });
-      })
-      .catch(this.catchHandler.bind(this));
+    return next({ Items: [], ScannedCount: 0 }, []);
   }
 
   /**
-   * Helper to provide uniform handling of rejection behavior.
+   * Retrieves the last page of query results.
    *
-   * @param {mixed} err
-   *   The rejected value.
+   * The query is run in reverse, limited to the number of items which were
+   * left for the last page when paginating forward. Unfilled pages end after
+   * every limit records DynamoDB evaluates, so filtered queries count the
+   * records matching the key conditions to determine that number.
    *
-   * @returns {Promise}
-   *   A resolved promise if rejectOnFail is truthy. Otherwise, it passes errors
-   *   up the chain by returning a rejected promise with the passed error.
+   * @see query
+   *
+   * @param {Object} params
+   *   The params to pass to DocumentClient.query(), in reverse order.
+   * @param {Object[]} keys
+   *   The normalized key conditions of the query.
+   * @param {String} table
+   *   The table to query.
+   * @param {Object} query
+   *   The query options.
+   *
+   * @return {Promise}
+   *   Resolves with an array containing the DocumentClient response and the
+   *   total number of records matching the query.
    */
-  catchHandler(err) {
-    if (this.rejectOnFail) {
-      return Promise.reject(err);
+  queryLastPage(params, keys, table, query) {
+    const counts = [this.countTotal(params)];
+    if (_.has(params, 'FilterExpression') && !query.fillPage) {
+      counts.push(this.countTotal(this.constructor.buildKeyParams(keys, table, query)));
     }
 
-    return Promise.resolve();
+    return Promise.all(counts)
+      .then((totals) => {
+        const lastParams = _.assign({}, params, {
+          Limit: (_.last(totals) % query.limit) || query.limit,
+        });
+        return Promise.all([this.queryPage(lastParams, query.fillPage), totals[0]]);
+      });
   }
 
   /**
-   * Convert raw filter groups into a consistent format for use in condition
-   * expressions.
+   * Finds where a numbered page of query results starts.
    *
-   * @param {Object} rawGroup
-   *   The raw group object to be normalized.
-   * @param {String} name
-   *   The name of the group.
+   * Skips the items before the page with COUNT queries, while counting every
+   * item of the query to determine the number of pages. Both only use the
+   * key conditions, since pages count evaluated items.
+   *
+   * @see query
+   *
+   * @param {PrimaryKey} primaryKey
+   *   The primaryKey of the query.
+   * @param {String} table
+   *   The table to query.
+   * @param {Object} query
+   *   The query options, containing the page, limit and maxSkipRequests.
    *
    * @throws {Error}
-   *   Will throw an error if an unsuppored conjunction is used.
+   *   Will throw an error if the page is invalid, is combined with a
+   *   startKey, or requires more than maxSkipRequests requests to reach.
    *
-   * @returns {Object}
-   *   The normalized group object.
-   *   {
-   *     name: <name>
-   *     conjunction: <AND|OR>
-   *   }
+   * @return {Promise}
+   *   Resolves with an object containing the startKey of the page, the
+   *   number of totalItems and whether the page is beyondEnd of the results.
    */
-  static normalizeGroup(rawGroup, name) {
-    let conjunction = 'AND';
+  skipToPage(primaryKey, table, query) {
+    if (!_.isInteger(query.page) || query.page < 1) {
+      throw new Error(`Invalid page: ${query.page}. Pages are numbered from 1.`);
+    }
+    if (!_.isNull(query.startKey)) {
+      throw new Error('The page option cannot be combined with a startKey or cursor.');
+    }
+    if (query.fillPage) {
+      throw new Error('The page option cannot be combined with fillPage.');
+    }
 
-    if (_.has(rawGroup, 'conjunction')) {
-      if (['AND', 'OR'].indexOf(rawGroup.conjunction) === -1) {
-        throw new Error(`Unsupported group conjunction: ${rawGroup.conjunction}. Allowed conjunctions: AND, OR.`);
+    const keys = this.constructor.normalizeKeys(primaryKey);
+    const countParams = _.assign(this.constructor.buildKeyParams(keys, table, query), {
+      Select: 'COUNT',
+    });
+
+    const skip = (remaining, startKey, requests) => {
+      if (remaining === 0) {
+        return Promise.resolve({ startKey, beyondEnd: false });
+      }
+      if (requests === query.maxSkipRequests) {
+        throw new Error(`Page ${query.page} could not be reached within ${query.maxSkipRequests} requests.`);
       }
 
-      conjunction = rawGroup.conjunction;
-    }
+      const skipParams = _.assign({}, countParams, { Limit: remaining });
+      if (!_.isNull(startKey)) {
+        skipParams.ExclusiveStartKey = startKey;
+      }
 
-    return { name, conjunction };
-  }
+      return this.request('query', skipParams)
+        .then((res) => {
+          if (!_.has(res, 'LastEvaluatedKey')) {
+            return { startKey: null, beyondEnd: true };
+          }
+          return skip(remaining - res.ScannedCount, res.LastEvaluatedKey, requests + 1);
+        });
+    };
 
-  /**
-   * Convert raw filter conditions into a consistent format for use in condition
-   * expressions.
-   *
-   * @see buildConditionExpression()
-   *
-   * @param {Object} rawCondition
-   *   The raw condition object to be normalized.
-   * @param {String} name
-   *   The name of the condition. Will be used as the path if none is provided.
-   *
-   * @returns {Object}
-   *   The normalized condition object.
-   */
-  static normalizeCondition(rawCondition, name) {
-    const condition = this.normalizeExpressionAttribute(rawCondition, name);
-    const allowedProps = ['name', 'path', 'operator', 'value', 'memberOf', 'negate'];
-    return _.pick(_.assign({ operator: '=' }, condition), allowedProps);
+    return Promise.all([
+      skip((query.page - 1) * query.limit, null, 0),
+      this.countTotal(countParams),
+    ])
+      .then(res => _.assign(res[0], { totalItems: res[1] }));
   }
 
   /**
-   * Convert raw attribute values to a consistent format for use in building
-   * DynamoDB expressions.
+   * Gets the startKey of the page before a page of query results.
    *
-   * @see buildExpressionPlaceholders()
+   * The previous page is found by querying in the reverse direction from the
+   * start of the page. The record at which that query stops is the record
+   * before the previous page.
    *
-   * @param {Mixed} rawValue
-   *   The raw attribute object or value to be normalized.
-   * @param {String} name
-   *   The name of the attribute.
+   * @see query
    *
-   * @throws {Error}
-   *   Will throw an error if the attribute is missing a name or value.
+   * @param {Object} params
+   *   The params which were passed to DocumentClient.query() for the page.
+   * @param {Object} result
+   *   The page of results, with its items in display order.
+   * @param {Object} lastEvaluatedKey
+   *   The LastEvaluatedKey returned by DynamoDB for the page, if any.
+   * @param {Object} query
+   *   The query options.
    *
-   * @returns {Object}
-   *   The normalized attribute object.
+   * @return {Promise}
+   *   Resolves with the startKey of the previous page, null if the previous
+   *   page is the first page or undefined if there is no previous page.
    */
-  static normalizeExpressionAttribute(rawValue, name) {
-    if (_.isNil(name)) {
-      throw new Error('Attribute is missing a name.');
+  getPreviousKey(params, result, lastEvaluatedKey, query) {
+    // Nothing precedes the first page.
+    if (_.isNull(query.startKey) && query.pageForward) {
+      return Promise.resolve(undefined);
     }
 
-    let attribute = rawValue;
-    if (!_.isPlainObject(rawValue) || !_.has(rawValue, 'value')) {
-      attribute = { value: rawValue };
+    const reverseParams = _.assign(this.constructor.omitProjection(params), {
+      // Reverse the order in which items are displayed.
+      ScanIndexForward: !query.sortAscending,
+      Select: 'COUNT',
+    });
+    delete reverseParams.ExclusiveStartKey;
+
+    // A page retrieved going forward starts after its startKey, so the
+    // previous page ends with it.
+    const fromStartKey = query.pageForward && _.isPlainObject(query.startKey);
+
+    if (fromStartKey) {
+      reverseParams.ExclusiveStartKey = query.startKey;
+    }
+    // Otherwise, the page starts with its first item. One more record must
+    // be read to reach the record before the previous page.
+    else {
+      const keyNames = Object.keys(lastEvaluatedKey
+        || (_.isPlainObject(query.startKey) ? query.startKey : {}));
+      const first = _.head(result.Items);
+
+      if (_.isEmpty(keyNames) || _.isUndefined(first)) {
+        return Promise.resolve(undefined);
+      }
+      reverseParams.ExclusiveStartKey = _.pick(first, keyNames);
+      reverseParams.Limit = query.limit + 1;
     }
 
-    // Fail when value is undefined.
-    if (attribute.value === undefined) {
-      throw new Error(`Attribute "${name}" is missing a value.`);
+    // Filled pages contain items which pass the filters, so those are what
+    // must be counted.
+    if (query.fillPage) {
+      delete reverseParams.Select;
     }
 
-    return _.assign({ name }, attribute);
+    return this.queryPage(reverseParams, query.fillPage)
+      .then((res) => {
+        // Nothing precedes the first item of the page, so it is the first page.
+        if (!fromStartKey && res[query.fillPage ? 'Count' : 'ScannedCount'] === 0) {
+          return undefined;
+        }
+        return res.LastEvaluatedKey || null;
+      });
   }
 
   /**
-   * Nest property value under a value property.
-   * Ensures raw entity data can be processed by buildUpdateExpression
+   * Adds pagination cursors to a query result.
    *
-   * @see normalizeExpressionAttribute()
-   * @see buildUpdateExpression()
+   * @see query
+   *
+   * @param {Object} result
+   *   The query result, with its items in display order.
+   * @param {Object} lastEvaluatedKey
+   *   The LastEvaluatedKey returned by DynamoDB, if any.
+   * @param {Boolean} backward
+   *   Whether the page was retrieved with a prevCursor.
+   * @param {PrimaryKey} primaryKey
+   *   The primaryKey of the query.
+   * @param {String} table
+   *   The table which was queried.
+   * @param {Object} query
+   *   The query options.
+   *
+   * @return {Object}
+   *   The result with nextCursor and prevCursor properties added where there
+   *   are more pages in that direction.
+   */
+  addCursors(result, lastEvaluatedKey, backward, primaryKey, table, query) {
+    // Item keys contain the same attributes as the keys DynamoDB returns.
+    const startKey = _.isPlainObject(query.startKey) ? query.startKey : null;
+    const keyNames = Object.keys(lastEvaluatedKey || startKey || {});
+    // Pages without items, such as the page after a last page which was
+    // full, are paged from the key they started at instead.
+    const itemKey = item => (_.isUndefined(item) ? startKey : _.pick(item, keyNames));
+    const cursor = (key, direction) => (_.isNil(key)
+      ? undefined
+      : this.encodeCursor({ key, direction }, primaryKey, table, query));
+
+    // DynamoDB only reports whether there are more pages in the direction it
+    // read. The other direction has more pages if this one had a start key.
+    let next = result.LastEvaluatedKey;
+    let prev = _.isNull(query.startKey) ? null : itemKey(_.head(result.Items));
+    // The last page is read in reverse, so DynamoDB reports the previous page.
+    if (query.startKey === 'last') {
+      next = undefined;
+      prev = lastEvaluatedKey;
+    }
+    else if (backward) {
+      next = itemKey(_.last(result.Items));
+      prev = lastEvaluatedKey;
+    }
+
+    const cursors = _.omitBy({
+      nextCursor: cursor(next, 'next'),
+      prevCursor: cursor(prev, 'prev'),
+    }, _.isUndefined);
+
+    return _.assign(result, cursors);
+  }
+
+  /**
+   * Encodes an encrypted pagination cursor.
+   *
+   * @param {Object} position
+   *   The start key and direction the cursor represents.
+   *   {
+   *     key: <start key>,
+   *     direction: <"next"|"prev">
+   *   }
+   * @param {PrimaryKey} primaryKey
+   *   The primaryKey of the query the cursor belongs to.
+   * @param {String} table
+   *   The table of the query the cursor belongs to.
+   * @param {Object} query
+   *   The options of the query the cursor belongs to.
+   *
+   * @throws {Error}
+   *   Will throw an error if no cursorSecret is configured.
+   *
+   * @return {String}
+   *   The cursor.
+   */
+  encodeCursor(position, primaryKey, table, query) {
+    const payload = JSON.stringify({
+      k: position.key,
+      d: position.direction,
+      s: this.constructor.cursorScope(primaryKey, table, query),
+    });
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.cursorKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(payload, 'utf8'), cipher.final()]);
+    return this.constructor.base64Url(Buffer.concat([iv, cipher.getAuthTag(), encrypted]));
+  }
+
+  /**
+   * Decrypts and validates a pagination cursor.
+   *
+   * @param {String} cursor
+   *   The cursor.
+   * @param {PrimaryKey} primaryKey
+   *   The primaryKey of the query using the cursor.
+   * @param {String} table
+   *   The table of the query using the cursor.
+   * @param {Object} query
+   *   The options of the query using the cursor.
+   *
+   * @throws {InvalidCursorError}
+   *   Will throw an error if the cursor was not encrypted with the configured
+   *   secret, was altered or belongs to a different query.
+   *
+   * @return {Object}
+   *   The start key and direction the cursor represents.
+   */
+  decodeCursor(cursor, primaryKey, table, query) {
+    const key = this.cursorKey();
+    const data = Buffer.from(String(cursor), 'base64');
+
+    // The authentication tag rejects cursors which were altered or encrypted
+    // with another secret.
+    let payload;
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, data.slice(0, 12));
+      decipher.setAuthTag(data.slice(12, 28));
+      payload = JSON.parse(Buffer.concat([decipher.update(data.slice(28)), decipher.final()]));
+    }
+    catch (err) {
+      throw new errors.InvalidCursorError('The cursor is invalid.');
+    }
+
+    if (payload.s !== this.constructor.cursorScope(primaryKey, table, query)) {
+      throw new errors.InvalidCursorError('The cursor belongs to a different query.');
+    }
+
+    return { key: payload.k, direction: payload.d };
+  }
+
+  /**
+   * Derives the key cursors are encrypted with from the cursorSecret.
+   *
+   * @throws {Error}
+   *   Will throw an error if no cursorSecret is configured.
+   *
+   * @return {Buffer}
+   *   The 256 bit AES key.
+   */
+  cursorKey() {
+    if (_.isEmpty(this.config.cursorSecret)) {
+      throw new Error('A cursorSecret must be configured to use cursors.');
+    }
+    return crypto.createHmac('sha256', this.config.cursorSecret).update('exciter-cursor').digest();
+  }
+
+  /**
+   * Iterates over every page of a query.
+   *
+   * Each page is retrieved with query() once the previous page has been
+   * consumed, following LastEvaluatedKey until the results are exhausted.
+   * Pages which contain no items because every record was filtered out are
+   * skipped.
+   *
+   * @see query
+   *
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object containing key value pairs for the DynamoDB
+   *   partitionKey and optionally sortKey.
+   * @param {String} table
+   *   The table in which to query.
+   * @param {Object} query
+   *   Query options. See query(). The limit is the number of records
+   *   evaluated per page. The startKey, if any, is where iteration begins.
+   *   Cursors are ignored.
+   * @param {Object} options
+   *   Iteration options.
+   * @param {Integer} options.maxItems=Infinity
+   *   The maximum number of items to retrieve across all pages.
+   *
+   * @return {Object}
+   *   An async iterable whose values are non-empty arrays of items, one per
+   *   page. Its next() method may also be called directly. It rejects if a
+   *   page could not be retrieved, whatever the onFail mode, so a failure is
+   *   never mistaken for the end of the results.
+   */
+  iterate(primaryKey, table, query, options) {
+    const opts = _.defaults({}, options, { maxItems: Infinity });
+    let startKey = _.get(query, 'startKey', null);
+    let remaining = opts.maxItems;
+    let exhausted = false;
+    let pending = Promise.resolve();
+
+    // Cursors are for clients paging one request at a time.
+    const fetch = () => this.queryRecords(primaryKey, table, _.assign(
+      _.omit(query, ['cursor', 'cursors']),
+      { startKey, includeTotal: false }
+    ))
+      .catch((err) => {
+        throw this.constructor.normalizeError(err, { operation: 'query', table, key: primaryKey });
+      })
+      .then((res) => {
+        startKey = _.get(res, 'LastEvaluatedKey', null);
+        exhausted = _.isNull(startKey);
+
+        const items = _.get(res, 'Items', []);
+        return _.isEmpty(items) && !exhausted ? fetch() : items;
+      });
+
+    const iterator = {
+      next: () => {
+        // Wait for the previous page so concurrent calls don't share a key.
+        pending = pending
+          .catch(_.noop)
+          .then(() => {
+            if (exhausted || remaining <= 0) {
+              return [];
+            }
+            return fetch();
+          })
+          .then((items) => {
+            const page = _.take(items, remaining);
+            remaining -= page.length;
+            if (_.isEmpty(page)) {
+              return { done: true, value: undefined };
+            }
+            return { done: false, value: page };
+          });
+        return pending;
+      },
+      [asyncIteratorSymbol]: () => iterator,
+    };
+
+    return iterator;
+  }
+
+  /**
+   * Retrieves every item matching a query.
+   *
+   * @see iterate
+   *
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object containing key value pairs for the DynamoDB
+   *   partitionKey and optionally sortKey.
+   * @param {String} table
+   *   The table in which to query.
+   * @param {Object} query
+   *   Query options. See query().
+   * @param {Object} options
+   *   Iteration options. See iterate().
+   *
+   * @return {Promise}
+   *   Resolves with an array of every item retrieved. If a page could not be
+   *   retrieved, the failure is handled as configured by onFail.
+   */
+  queryAll(primaryKey, table, query, options) {
+    const iterator = this.iterate(primaryKey, table, query, options);
+
+    const collect = items => iterator.next()
+      .then(result => (result.done ? items : collect(items.concat(result.value))));
+
+    return collect([])
+      .catch(err => this.catchHandler(err, { operation: 'queryAll', table, key: primaryKey }));
+  }
+
+  /**
+   * Streams every item matching a query.
+   *
+   * @see iterate
+   *
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object containing key value pairs for the DynamoDB
+   *   partitionKey and optionally sortKey.
+   * @param {String} table
+   *   The table in which to query.
+   * @param {Object} query
+   *   Query options. See query().
+   * @param {Object} options
+   *   Iteration options. See iterate().
+   *
+   * @return {stream.Readable}
+   *   An object mode stream of items. Pages are only retrieved as the stream
+   *   is read. Errors are emitted as error events, whatever the onFail mode.
+   */
+  queryStream(primaryKey, table, query, options) {
+    const iterator = this.iterate(primaryKey, table, query, options);
+
+    const readable = new stream.Readable({
+      objectMode: true,
+      read() {
+        iterator.next()
+          .then((result) => {
+            if (result.done) {
+              readable.push(null);
+            }
+            else {
+              result.value.forEach(item => readable.push(item));
+            }
+          })
+          .catch(err => readable.emit('error', err));
+      },
+    });
+
+    return readable;
+  }
+
+  /**
+   * Scan DynamoDB.
+   *
+   * Unlike query(), a scan is not narrowed by a key condition and reads every
+   * record in the table or index. Filters are applied with the same semantics
+   * as query() filters.
+   *
+   * @see query
+   *
+   * @param {String} table
+   *   The table to scan.
+   * @param {Object} query
+   *   An object which contains all the necessary information to scan DynamoDB.
+   * @param {String} query.index
+   *   The index to scan. By default, the table is scanned directly.
+   * @param {Object} query.rawFilters={}
+   *   A set of filtering operations keyed by name. See query() for the format.
+   * @param {String} query.conjunction=AND
+   *   The conjunction joining top-level filters. See query().
+   * @param {String[]} query.attributes
+   *   The attributes to retrieve, instead of whole records. See query().
+   * @param {Integer} query.limit=10
+   *   The number of records to evaluate per page. When scanning multiple
+   *   segments, the limit applies to each segment.
+   * @param {Object|Array} query.startKey=null
+   *   The primary key of the record AFTER which the scan operation should
+   *   begin. When scanning multiple segments, this is the array of keys
+   *   returned as LastEvaluatedKey by the previous page.
+   * @param {Object} query.includeTotal=false
+   *   Determines whether a total count should be included in the response.
+   * @param {Integer} query.maxCount
+   *   Stops counting the total once this many records have been counted. See
+   *   query().
+   * @param {Boolean} query.approximateTotal=false
+   *   Whether to use the item count reported by DescribeTable as the total
+   *   instead of counting every record. The count is updated by DynamoDB
+   *   about every six hours but costs no read capacity. The response includes
+   *   a totalCountIsApproximate property set to true. It is only used when
+   *   no filters apply, otherwise the records are counted.
+   * @param {Integer} query.segments=1
+   *   The number of segments to scan in parallel. Results from every segment
+   *   are merged into a single response. When more than one segment is
+   *   scanned, LastEvaluatedKey is an array containing the last evaluated key
+   *   of each segment, or null for segments which have been exhausted.
+   *
+   * @return {Promise}
+   *   A promise which resolves with the scan result or rejects if there was an
+   *   error. When the table has a versionAttribute, the result's versions
+   *   property contains the version of each item, in the same order.
+   */
+  scan(table, query) {
+    const q = _.defaultsDeep({}, query, {
+      rawFilters: {},
+      limit: 10,
+      includeTotal: false,
+      approximateTotal: false,
+      startKey: null,
+      segments: 1,
+    });
+    const versionAttribute = this.tableOptions(table).versionAttribute;
+
+    let approximate = false;
+
+    return Promise.resolve()
+      .then(() => {
+        if (q.startKey === 'last') {
+          throw new Error('The "last" startKey is not supported when scanning.');
+        }
+
+        const filters = this.constructor.normalizeFilters(q.rawFilters);
+
+        // Build params to pass to the DocumentClient.
+        const params = {
+          TableName: table,
+          Limit: q.limit,
+        };
+
+        // Add optional params.
+        if (!_.isEmpty(filters.conditions)) {
+          params.FilterExpression = this.constructor.buildFilterExpression(filters, q.conjunction);
+          params.ExpressionAttributeNames = this.constructor.buildExpressionPlaceholders(
+            filters.conditions,
+            '#'
+          );
+          params.ExpressionAttributeValues = this.constructor.buildExpressionPlaceholders(
+            filters.conditions,
+            ':'
+          );
+        }
+        if (q.index) {
+          params.IndexName = q.index;
+        }
+        if (!_.isEmpty(q.attributes)) {
+          this.constructor.addProjection(params, _.compact(q.attributes.concat(versionAttribute)));
+        }
+        if (!_.isEmpty(q.select)) {
+          params.Select = q.select;
+        }
+
+        const segmented = q.segments > 1;
+        const requests = _.times(q.segments, (segment) => {
+          const segmentParams = _.clone(params);
+          let startKey = q.startKey;
+
+          if (segmented) {
+            if (!_.isNull(q.startKey)) {
+              startKey = q.startKey[segment];
+
+              // Segments without a key on a subsequent page are exhausted.
+              if (_.isNil(startKey)) {
+                return Promise.resolve({ Items: [], Count: 0, ScannedCount: 0 });
+              }
+            }
+            segmentParams.Segment = segment;
+            segmentParams.TotalSegments = q.segments;
+          }
+          if (!_.isNull(startKey)) {
+            segmentParams.ExclusiveStartKey = startKey;
+          }
+
+          return this.request('scan', segmentParams);
+        });
+
+        // Optionally include a total count scan. Without filters, the total
+        // is the number of items in the table or index.
+        approximate = q.approximateTotal && !_.has(params, 'FilterExpression');
+        if (q.includeTotal) {
+          requests.push(approximate
+            ? this.getApproximateCount(table, q.index)
+            : this.countTotal(params, 0, 'scan', q.maxCount));
+        }
+
+        return Promise.all(requests);
+      })
+      .then((res) => {
+        const pages = res.slice(0, q.segments);
+        let result = _.cloneDeep(pages[0]);
+
+        // Merge the results of every segment.
+        if (q.segments > 1) {
+          result = pages.reduce((merged, page) => {
+            merged.Items = merged.Items.concat(page.Items);
+            merged.Count += page.Count;
+            merged.ScannedCount += page.ScannedCount;
+            merged.LastEvaluatedKey.push(page.LastEvaluatedKey || null);
+            return merged;
+          }, { Items: [], Count: 0, ScannedCount: 0, LastEvaluatedKey: [] });
+
+          if (result.LastEvaluatedKey.every(_.isNull)) {
+            delete result.LastEvaluatedKey;
+          }
+        }
+
+        // Get the total count from our count scan.
+        if (res.length > q.segments && !_.isNil(res[q.segments])) {
+          _.assign(result, this.constructor.describeTotal(res[q.segments], q.maxCount));
+          if (approximate) {
+            result.totalCountIsApproximate = true;
+          }
+        }
+
+        // Expose the versions of the items so they can be written back.
+        if (versionAttribute && _.has(result, 'Items')) {
+          result.versions = result.Items.map(item => item[versionAttribute]);
+        }
+
+        return result;
+      })
+      .catch(err => this.catchHandler(err, { operation: 'scan', table }));
+  }
+
+  /**
+   * Formats data into DynamoDB documents and sends them to
+   * DynamoDB.
+   *
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object containing key value pairs for the DynamoDB
+   *   partitionKey and sortKey.
+   * @param {String} table
+   *   The table from which to delete the document.
+   * @param {Object} options
+   *   Write options.
+   * @param {Object} options.conditions
+   *   Conditions the existing record must satisfy for the write to succeed, in
+   *   the same format as the rawFilters accepted by query(). The promise
+   *   rejects with a ConditionFailedError if they are not satisfied.
+   * @param {Integer} options.version
+   *   When the table has a versionAttribute, only delete the record if its
+   *   stored version matches. The promise rejects with a VersionConflictError
+   *   otherwise.
+   * @param {String} options.returnValues
+   *   The DocumentClient ReturnValues parameter: ALL_OLD or NONE. See put().
+   * @param {String} options.returnConsumedCapacity
+   *   The DocumentClient ReturnConsumedCapacity parameter. See put().
+   *
+   * @return {Promise}
+   *   Resolves when the documents have been written to DynamoDB,
+   *   rejects if there was an error either opening the documents or writing
+   *   to DynamoDB. Resolves with the deleted item if returnValues or
+   *   returnConsumedCapacity was provided. See formatWriteResult().
+   */
+  delete(primaryKey, table, options) {
+    const opts = this.tableOptions(table, options);
+
+    return Promise.resolve()
+      .then(() => {
+        const payload = _.assign(
+          this.constructor.buildDeleteParams(primaryKey, table, opts),
+          this.constructor.buildReturnParams(opts)
+        );
+        return this.request('delete', payload);
+      })
+      .then(res => this.constructor.formatWriteResult(res, opts))
+      .catch(this.writeCatchHandler(
+        _.has(opts, 'versionAttribute') && _.has(opts, 'version') && _.isEmpty(opts.conditions),
+        { operation: 'delete', table, key: primaryKey }
+      ));
+  }
+
+  /**
+   * Starts building a transaction.
+   *
+   * @see Transaction
+   *
+   * @return {Transaction}
+   *   A transaction builder which writes all of its operations atomically when
+   *   committed.
+   */
+  transaction() {
+    return new Transaction(this);
+  }
+
+  /**
+   * Defines a model, or retrieves a model which has already been defined.
+   *
+   * @see Model
+   *
+   * @param {String} name
+   *   The name of the model.
+   * @param {Object} [definition]
+   *   The model definition. See Model. Omit it to retrieve the model which
+   *   was previously defined with the same name.
+   *
+   * @throws {Error}
+   *   Will throw an error if no definition is provided for an unknown model.
+   *
+   * @return {Model}
+   *   An object bound to the model's table which derives primary keys from
+   *   the data and validates it before writing.
+   */
+  model(name, definition) {
+    if (!_.isUndefined(definition)) {
+      this.models[name] = new Model(this, name, definition);
+    }
+    else if (!_.has(this.models, name)) {
+      throw new Error(`Unknown model: ${name}.`);
+    }
+    return this.models[name];
+  }
+
+  /**
+   * Creates or entirely replaces many records.
+   *
+   * @see batchWrite
+   *
+   * @param {Object[]} items
+   *   The documents to store. Each document must contain all of its primary
+   *   key properties.
+   * @param {String} table
+   *   The table in which to save the documents.
+   * @param {Object} options
+   *   Batch options. See batchWrite().
+   *
+   * @return {Promise}
+   *   Resolves with a batch result. See batchWrite().
+   */
+  putMany(items, table, options) {
+    const writeRequests = items.map(item => ({ PutRequest: { Item: item } }));
+    return this.batchWrite(table, writeRequests, options);
+  }
+
+  /**
+   * Deletes many records.
+   *
+   * @see batchWrite
+   *
+   * @param {PrimaryKey[]} primaryKeys
+   *   An array of {@link PrimaryKey} objects identifying the documents to
+   *   delete.
+   * @param {String} table
+   *   The table from which to delete the documents.
+   * @param {Object} options
+   *   Batch options. See batchWrite().
+   *
+   * @return {Promise}
+   *   Resolves with a batch result. See batchWrite().
+   */
+  deleteMany(primaryKeys, table, options) {
+    const writeRequests = primaryKeys.map(key => ({ DeleteRequest: { Key: key } }));
+    return this.batchWrite(table, writeRequests, options);
+  }
+
+  /**
+   * Sends write requests to DynamoDB in chunks of 25 using BatchWriteItem.
+   *
+   * Any items DynamoDB leaves unprocessed are written again using exponential
+   * backoff with jitter. Failures do not reject the returned promise. Instead,
+   * each item which could not be written is reported in the result.
+   *
+   * @param {String} table
+   *   The table to write to.
+   * @param {Object[]} writeRequests
+   *   An array of DynamoDB WriteRequest objects.
+   * @param {Object} options
+   *   Batch options.
+   * @param {Integer} options.concurrency=4
+   *   The number of chunks which may be written at the same time.
+   * @param {Integer} options.maxRetries=8
+   *   The number of times unprocessed items will be retried before they are
+   *   reported as failed.
+   * @param {Integer} options.baseDelay=50
+   *   The maximum number of milliseconds to wait before the first retry. The
+   *   maximum delay doubles with each subsequent retry.
+   *
+   * @return {Promise}
+   *   Resolves with the batch result.
+   *   {
+   *     processed: <number of items written>,
+   *     failed: [{ item|key: <item or primary key>, error: <ExciterError> }]
+   *   }
+   *   Items which are still unprocessed after the retries fail with a
+   *   ThrottledError.
+   */
+  batchWrite(table, writeRequests, options) {
+    const opts = _.defaults({}, options, { concurrency: 4, maxRetries: 8, baseDelay: 50 });
+
+    return this.constructor.mapLimit(
+      _.chunk(writeRequests, 25),
+      opts.concurrency,
+      chunk => this.batchWriteItems(table, chunk, opts, 0)
+    )
+      .then((failures) => {
+        const failed = _.flatten(failures).map((failure) => {
+          if (_.has(failure.request, 'PutRequest')) {
+            return { item: failure.request.PutRequest.Item, error: failure.error };
+          }
+          return { key: failure.request.DeleteRequest.Key, error: failure.error };
+        });
+
+        return { processed: writeRequests.length - failed.length, failed };
+      })
+      .catch(err => this.catchHandler(err, { operation: 'batchWrite', table }));
+  }
+
+  /**
+   * Sends a BatchWriteItem request, retrying any unprocessed items.
+   *
+   * @param {String} table
+   *   The table to write to.
+   * @param {Object[]} writeRequests
+   *   An array of no more than 25 DynamoDB WriteRequest objects.
+   * @param {Object} options
+   *   Batch options. See batchWrite().
+   * @param {Integer} attempt
+   *   The number of retries which have already been attempted.
+   *
+   * @return {Promise}
+   *   Resolves with an array of failures, each containing the write request
+   *   and the error which caused it to fail.
+   */
+  batchWriteItems(table, writeRequests, options, attempt) {
+    return this.request('batchWrite', { RequestItems: { [table]: writeRequests } })
+      .then((res) => {
+        const unprocessed = _.get(res, ['UnprocessedItems', table], []);
+
+        if (_.isEmpty(unprocessed)) {
+          return [];
+        }
+        // DynamoDB leaves items unprocessed when the table is throttled.
+        if (attempt >= options.maxRetries) {
+          const error = new errors.ThrottledError(
+            `Unable to write item after ${options.maxRetries} retries.`,
+            { operation: 'batchWrite', table }
+          );
+          return unprocessed.map(request => ({ request, error }));
+        }
+
+        const delay = this.constructor.backoffDelay(attempt, options.baseDelay, true);
+        return this.constructor.wait(delay)
+          .then(() => this.batchWriteItems(table, unprocessed, options, attempt + 1));
+      }, (err) => {
+        const error = this.constructor.normalizeError(err, { operation: 'batchWrite', table });
+        return writeRequests.map(request => ({ request, error }));
+      });
+  }
+
+  /**
+   * Gets the total count for a given query.
+   *
+   * @see countTotal
+   *
+   * @param {Object} params
+   *   The params for the query for which we want to get a total count. These
+   *   are the parameters which would be passed to DocumentClient.query().
+   * @param {Integer} startCount=0
+   *   The number from which to start counting. This is used when the result is
+   *   too large to count with one request.
+   * @param {String} operation=query
+   *   The DocumentClient operation used to count: "query" or "scan".
+   * @param {Integer} [maxCount]
+   *   Stops counting once at least this many records have been counted, in
+   *   which case the total is a lower bound.
+   *
+   * @return {Promise}
+   *   Resolves with the total number of records which satisfy the given query.
+   */
+  getTotalCount(params, startCount, operation, maxCount) {
+    return this.countTotal(params, startCount, operation, maxCount)
+      .catch(err => this.catchHandler(err, {
+        operation: 'getTotalCount',
+        table: _.get(params, 'TableName'),
+      }));
+  }
+
+  /**
+   * Counts the records which satisfy a query without handling failures, so
+   * they fail the operation which needed the count.
+   *
+   * When a countCache is configured, counts which start at the beginning are
+   * cached.
+   *
+   * @see getTotalCount
+   *
+   * @param {Object} params
+   *   The params for the query for which we want to get a total count.
+   * @param {Integer} startCount=0
+   *   The number from which to start counting.
+   * @param {String} operation=query
+   *   The DocumentClient operation used to count: "query" or "scan".
+   * @param {Integer} [maxCount]
+   *   Stops counting once at least this many records have been counted.
+   *
+   * @return {Promise}
+   *   Resolves with the total number of records which satisfy the given query.
+   */
+  countTotal(params, startCount, operation, maxCount) {
+    return Promise.resolve()
+      .then(() => {
+        const method = operation || 'query';
+        const countParams = _.assign(this.constructor.omitProjection(params), { Select: 'COUNT' });
+
+        // Do not limit count queries.
+        delete countParams.Limit;
+
+        if (startCount) {
+          return this.countRecords(countParams, startCount, method, maxCount);
+        }
+
+        // Start the count query at the beginning when we know we haven't
+        // started counting yet.
+        delete countParams.ExclusiveStartKey;
+
+        if (!this.countCache) {
+          return this.countRecords(countParams, 0, method, maxCount);
+        }
+
+        const cacheKey = this.constructor.countCacheKey(countParams, method);
+        return Promise.resolve(this.countCache.store.get(cacheKey))
+          .then((cached) => {
+            // A count which stopped early is only reused if it reaches the
+            // maxCount of this count.
+            if (cached && (!cached.lowerBound || cached.count >= maxCount)) {
+              return cached.count;
+            }
+
+            return this.countRecords(countParams, 0, method, maxCount)
+              .then((count) => {
+                const value = { count, lowerBound: count >= maxCount };
+                const stored = this.countCache.store.set(cacheKey, value, this.countCache.ttl);
+                return Promise.resolve(stored).then(() => count);
+              });
+          });
+      });
+  }
+
+  /**
+   * Counts records, following LastEvaluatedKey until every record has been
+   * counted.
+   *
+   * @see getTotalCount
+   *
+   * @param {Object} countParams
+   *   The params to pass to the DocumentClient, including Select: COUNT.
+   * @param {Integer} startCount
+   *   The number of records counted by previous requests.
+   * @param {String} method
+   *   The DocumentClient operation used to count.
+   * @param {Integer} [maxCount]
+   *   Stops counting once at least this many records have been counted.
+   *
+   * @return {Promise}
+   *   Resolves with the number of records counted.
+   */
+  countRecords(countParams, startCount, method, maxCount) {
+    return this.request(method, countParams, 'getTotalCount')
+      .then((res) => {
+        const totalCount = startCount + res.Count;
+
+        // Repeat this operation if we weren't able to count all records.
+        if (_.has(res, 'LastEvaluatedKey') && !(totalCount >= maxCount)) {
+          const nextParams = _.assign({}, countParams, { ExclusiveStartKey: res.LastEvaluatedKey });
+          return this.countRecords(nextParams, totalCount, method, maxCount);
+        }
+
+        return totalCount;
+      });
+  }
+
+  /**
+   * Gets the number of items in a table or index reported by DescribeTable.
+   *
+   * DynamoDB updates the number about every six hours, so it is only an
+   * approximation of the current number of items.
+   *
+   * @param {String} table
+   *   The table to describe.
+   * @param {String} [index]
+   *   The name of a secondary index to get the number of items of instead.
+   *
+   * @return {Promise}
+   *   Resolves with the number of items. Rejects if the index does not exist.
+   */
+  getApproximateCount(table, index) {
+    // DescribeTable is only available from the underlying DynamoDB service.
+    return this.request('service.describeTable', { TableName: table }, 'getApproximateCount')
+      .then((res) => {
+        if (_.isNil(index)) {
+          return res.Table.ItemCount;
+        }
+
+        const indexes = _.concat(
+          _.get(res.Table, 'GlobalSecondaryIndexes', []),
+          _.get(res.Table, 'LocalSecondaryIndexes', [])
+        );
+        const described = _.find(indexes, { IndexName: index });
+        if (!described) {
+          throw new Error(`Unknown index "${index}" on table "${table}".`);
+        }
+        return described.ItemCount;
+      });
+  }
+
+  /**
+   * Sends a request to DynamoDB, retrying it according to the retry policy.
+   *
+   * @see retryPolicy
+   *
+   * @param {String} method
+   *   The DocumentClient method to call. Methods of the underlying DynamoDB
+   *   service are called by path, as in "service.describeTable".
+   * @param {Object} params
+   *   The params to pass to the DocumentClient method.
+   * @param {String} [operation]
+   *   The Exciter operation sending the request. Its overrides of the retry
+   *   policy apply. Defaults to the method.
+   * @param {Integer} [attempt=1]
+   *   The number of the attempt being made.
+   *
+   * @return {Promise}
+   *   Resolves with the DocumentClient response. Rejects with the error of
+   *   the last attempt.
+   */
+  request(method, params, operation, attempt) {
+    const name = operation || method;
+    const tries = attempt || 1;
+
+    return _.invoke(this.dynamo, method, params).promise()
+      .catch((err) => {
+        const policy = this.retryPolicy(name);
+        const retryable = policy.retryableErrors.indexOf(_.get(err, 'code')) !== -1;
+        if (tries >= policy.maxAttempts || !retryable) {
+          throw err;
+        }
+
+        const delay = this.constructor.backoffDelay(tries - 1, policy.baseDelay, policy.jitter);
+        if (policy.onRetry) {
+          policy.onRetry({ operation: name, attempt: tries, delay, error: err, params });
+        }
+
+        return this.constructor.wait(delay)
+          .then(() => this.request(method, params, name, tries + 1));
+      });
+  }
+
+  /**
+   * Gets the retry policy of an operation.
+   *
+   * @param {String} operation
+   *   The Exciter operation, such as "query" or "getTotalCount".
+   *
+   * @return {Object}
+   *   The configured retry policy combined with the overrides of the
+   *   operation. See the constructor.
+   */
+  retryPolicy(operation) {
+    const retry = this.config.retry;
+    return _.defaults(
+      {},
+      _.get(retry, ['operations', operation]),
+      _.omit(retry, 'operations'),
+      {
+        maxAttempts: 1,
+        baseDelay: 50,
+        jitter: true,
+        retryableErrors: this.constructor.retryableErrors,
+      }
+    );
+  }
+
+  /**
+   * Combines the configured settings of a table with the options of a
+   * single operation.
+   *
+   * @param {String} table
+   *   The table being operated on.
+   * @param {Object} options
+   *   The options passed to the operation. These take precedence over the
+   *   table settings.
+   *
+   * @return {Object}
+   *   The effective options.
+   */
+  tableOptions(table, options) {
+    return _.assign({}, this.config.tables[table], options);
+  }
+
+  /**
+   * Creates a rejection handler for write operations.
+   *
+   * @see catchHandler
+   *
+   * @param {Boolean} versioned
+   *   Whether the write was guarded by a version condition alone. If so,
+   *   failed conditions are reported as version conflicts. When other
+   *   conditions apply too, DynamoDB doesn't report which one failed, so a
+   *   ConditionFailedError is reported instead.
+   * @param {Object} context
+   *   The operation, table and key of the write. See catchHandler().
+   *
+   * @return {Function}
+   *   A function which handles the rejected value of the write.
+   */
+  writeCatchHandler(versioned, context) {
+    return (err) => {
+      if (versioned && _.get(err, 'code') === 'ConditionalCheckFailedException') {
+        const message = 'The record has been modified since its version was loaded.';
+        err = new errors.VersionConflictError(message, { code: err.code, cause: err });
+      }
+      return this.catchHandler(err, context);
+    };
+  }
+
+  /**
+   * Helper to provide uniform handling of rejection behavior.
+   *
+   * @see normalizeError
+   *
+   * @param {mixed} err
+   *   The rejected value.
+   * @param {Object} [context]
+   *   The operation, table and key of the failed request.
+   *
+   * @returns {Promise}
+   *   A promise handling the error according to the onFail mode: rejected
+   *   with the error by default, resolved with undefined when ignoring
+   *   failures or resolved with an object containing the error when
+   *   returning failures as results.
+   */
+  catchHandler(err, context) {
+    err = this.constructor.normalizeError(err, context);
+
+    if (this.onFail === 'reject') {
+      return Promise.reject(err);
+    }
+    if (this.onFail === 'result') {
+      return Promise.resolve({ error: err });
+    }
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Builds the DocumentClient parameters for a put operation.
+   *
+   * @see put
+   *
+   * @param {Object} data
+   *   Data to store in the given DynamoDB table.
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object containing partitionKey and sortKey key/value
+   *   properties.
+   * @param {String} table
+   *   The table in which to save the document.
+   * @param {Boolean} createOnly
+   *   Whether the operation should succeed if a record with the same partition
+   *   key value exists.
+   * @param {Object} options
+   *   Write options. See put().
+   *
+   * @return {Object}
+   *   The parameters to pass to DocumentClient.put(), or to
+   *   DocumentClient.update() if isUpdatingPut() is true.
+   */
+  static buildPutParams(data, primaryKey, table, createOnly, options) {
+    if (this.isUpdatingPut(createOnly, options)) {
+      return this.buildPatchParams(
+        data,
+        primaryKey,
+        table,
+        _.omit(options, ['deep', 'createMissing']),
+        'put'
+      );
+    }
+
+    // A put replaces the whole record, so dropping and removing are the same.
+    const fields = this.applyEmptyValues(
+      this.applyManagedAttributes(data, options, createOnly ? 'create' : 'put'),
+      _.get(options, 'emptyValues'),
+      'store'
+    );
+    const params = {
+      TableName: table,
+      Item: _.assign(fields.data, primaryKey),
+    };
+
+    if (createOnly) {
+      params.ConditionExpression = Object.keys(primaryKey)
+        .map(name => `attribute_not_exists(#${name})`)
+        .join(' OR ');
+      params.ExpressionAttributeNames = this.buildExpressionPlaceholders(
+        this.normalizeDataValues(primaryKey),
+        '#'
+      );
+    }
+
+    this.addConditions(params, _.get(options, 'conditions'));
+
+    if (_.has(options, 'versionAttribute')) {
+      const attribute = options.versionAttribute;
+      const version = this.normalizeVersion(data[attribute]);
+
+      // A new record can't conflict with a version which already exists.
+      if (!createOnly) {
+        this.addConditionExpression(params, {
+          groups: [],
+          conditions: [this.buildVersionCondition(attribute, version)],
+        });
+      }
+      params.Item[attribute] = version + 1;
+    }
+
+    return params;
+  }
+
+  /**
+   * Checks whether a put operation is written by an update.
+   *
+   * A put can't read the stored createdAt, so timestamped records which
+   * preserve it are written by an update which only sets it if the record
+   * doesn't have one.
+   *
+   * @param {Boolean} createOnly
+   *   Whether the operation should succeed if a record with the same partition
+   *   key value exists.
+   * @param {Object} options
+   *   Write options. See put().
+   *
+   * @return {Boolean}
+   *   True if the put must be written by an update.
+   */
+  static isUpdatingPut(createOnly, options) {
+    return !createOnly && !!_.get(options, 'timestamps') && !!_.get(options, 'preserveCreatedAt');
+  }
+
+  /**
+   * Builds the DocumentClient parameters which control what a single write
+   * operation returns.
+   *
+   * These are not part of the build*Params() methods because transactions
+   * do not support them.
+   *
+   * @param {Object} options
+   *   Write options. See put().
+   *
+   * @return {Object}
+   *   The ReturnValues and ReturnConsumedCapacity parameters, if requested.
+   */
+  static buildReturnParams(options) {
+    const params = {};
+
+    if (_.has(options, 'returnValues')) {
+      params.ReturnValues = options.returnValues;
+    }
+    if (_.has(options, 'returnConsumedCapacity')) {
+      params.ReturnConsumedCapacity = options.returnConsumedCapacity;
+    }
+
+    return params;
+  }
+
+  /**
+   * Formats the response of a single write operation.
+   *
+   * @param {Object} res
+   *   The DocumentClient response.
+   * @param {Object} options
+   *   Write options. See put().
+   *
+   * @return {Object}
+   *   The DocumentClient response, unless returnValues or
+   *   returnConsumedCapacity was requested. In that case, the returned item,
+   *   which is empty if DynamoDB returned no attributes. The consumed capacity
+   *   is exposed as the non-enumerable $metadata.consumedCapacity property of
+   *   the item so it doesn't end up in serialized records.
+   */
+  static formatWriteResult(res, options) {
+    if (!_.has(options, 'returnValues') && !_.has(options, 'returnConsumedCapacity')) {
+      return res;
+    }
+
+    const item = _.assign({}, res.Attributes);
+    if (_.has(options, 'returnConsumedCapacity')) {
+      Object.defineProperty(item, '$metadata', {
+        value: { consumedCapacity: res.ConsumedCapacity },
+      });
+    }
+
+    return item;
+  }
+
+  /**
+   * Builds the DocumentClient parameters for a patch operation.
+   *
+   * @see patch
+   *
+   * @param {Object} data
+   *   Data to store in the given DynamoDB table.
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object containing partitionKey and sortKey key/value
+   *   properties.
+   * @param {String} table
+   *   The table in which to save the document.
+   * @param {Object} options
+   *   Write options. See patch().
+   * @param {String} [operation=patch]
+   *   The write operation: "patch", or "put" for puts of timestamped records.
+   *
+   * @return {Object}
+   *   The parameters to pass to DocumentClient.update().
+   */
+  static buildPatchParams(data, primaryKey, table, options, operation) {
+    const values = this.normalizePatchValues(data, primaryKey, options, operation);
+
+    if (_.has(options, 'versionAttribute')) {
+      const attribute = options.versionAttribute;
+      const version = this.normalizeVersion(data[attribute]);
+      values.push({ name: 'version_lock_next', path: attribute, value: version + 1 });
+    }
+
+    const params = this.buildUpdateParams(values, primaryKey, table);
+    return this.addPatchConditions(params, data, options);
+  }
+
+  /**
+   * Builds the DocumentClient parameters which create the missing parent maps
+   * of the nested paths written by a patch operation.
+   *
+   * DynamoDB rejects expressions which write to a path and its parent at the
+   * same time, so each level of maps is created by a separate update. Maps
+   * which already exist are left untouched.
+   *
+   * @see patch
+   *
+   * @param {Object} data
+   *   Data to store in the given DynamoDB table.
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object containing partitionKey and sortKey key/value
+   *   properties.
+   * @param {String} table
+   *   The table in which to save the document.
+   * @param {Object} options
+   *   Write options. See patch().
+   *
+   * @return {Object[]}
+   *   The parameters to pass to DocumentClient.update() for each level, from
+   *   the top level down.
+   */
+  static buildParentMapParams(data, primaryKey, table, options) {
+    const levels = this.normalizePatchValues(data, primaryKey, options)
+      .filter(value => _.has(value, 'path') && value.operation !== 'remove')
+      .reduce((parents, value) => {
+        const fragments = value.path.split('.');
+        _.times(fragments.length - 1, (depth) => {
+          parents[depth] = _.union(parents[depth], [fragments.slice(0, depth + 1).join('.')]);
+        });
+        return parents;
+      }, []);
+
+    return levels.map(paths => this.addPatchConditions(
+      this.buildUpdateParams(
+        this.normalizeUpdateOperations({ $ifNotExists: _.zipObject(paths, paths.map(() => ({}))) }),
+        primaryKey,
+        table
+      ),
+      data,
+      options
+    ));
+  }
+
+  /**
+   * Converts the data of a patch operation into normalized update attributes.
+   *
+   * @see patch
+   *
+   * @param {Object} data
+   *   Data to store in the given DynamoDB table.
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object containing partitionKey and sortKey key/value
+   *   properties.
+   * @param {Object} options
+   *   Write options. See patch().
+   * @param {String} [operation=patch]
+   *   The write operation: "patch" or "put".
+   *
+   * @return {Array}
+   *   An array of normalized attributes, excluding the version attribute.
+   */
+  static normalizePatchValues(data, primaryKey, options, operation) {
+    const isOperator = (value, name) => _.startsWith(name, '$');
+    const deep = _.get(options, 'deep', false);
+
+    data = this.applyManagedAttributes(data, options, operation || 'patch');
+
+    // Do not attempt to save primaryKey values as attributes. The Key
+    // property in the payload takes care of that. The version is written
+    // separately.
+    let fields = _.omit(
+      _.omitBy(data, isOperator),
+      _.compact(Object.keys(primaryKey).concat(_.get(options, 'versionAttribute')))
+    );
+    if (deep) {
+      fields = this.flattenPaths(fields);
+    }
+    // Timestamped puts store empty values like other puts. See put().
+    fields = this.applyEmptyValues(
+      fields,
+      _.get(options, 'emptyValues'),
+      operation === 'put' ? 'store' : undefined
+    );
+
+    const operators = _.pickBy(data, isOperator);
+    if (!_.isEmpty(fields.remove)) {
+      operators.$remove = _.uniq(_.castArray(operators.$remove || []).concat(fields.remove));
+    }
+
+    // Populate data values into an array for buildExpressionPlaceholders().
+    // Flattened paths are split back into their fragments. Names which
+    // collide with other attributes are renamed by buildUpdateParams().
+    return this.normalizeDataValues(fields.data)
+      .map(value => (deep && _.includes(value.name, '.')
+        ? { name: value.name.replace(/\W/g, '_'), path: value.name, value: value.value }
+        : value))
+      .concat(this.normalizeUpdateOperations(operators));
+  }
+
+  /**
+   * Builds the DocumentClient parameters for an update from normalized
+   * attributes.
+   *
+   * Attributes whose placeholders collide, such as data named like an update
+   * operation, are renamed by uniquePlaceholders().
+   *
+   * @param {Array} values
+   *   The normalized attributes to write.
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object identifying the document to update.
+   * @param {String} table
+   *   The table containing the document.
+   *
+   * @return {Object}
+   *   The parameters to pass to DocumentClient.update().
+   */
+  static buildUpdateParams(values, primaryKey, table) {
+    values = this.uniquePlaceholders(values);
+    const params = {
+      TableName: table,
+      Key: primaryKey,
+      UpdateExpression: this.buildUpdateExpression(values),
+      ExpressionAttributeNames: this.buildExpressionPlaceholders(values, '#'),
+    };
+
+    // DynamoDB rejects empty placeholder objects, which is what an update
+    // consisting only of $remove operations produces.
+    const placeholders = this.buildExpressionPlaceholders(values, ':');
+    if (!_.isEmpty(placeholders)) {
+      params.ExpressionAttributeValues = placeholders;
+    }
+
+    return params;
+  }
+
+  /**
+   * Adds the conditions of a patch operation to its parameters.
+   *
+   * @param {Object} params
+   *   The DocumentClient parameters of the update.
+   * @param {Object} data
+   *   The data being patched, which contains the version of optimistically
+   *   locked records.
+   * @param {Object} options
+   *   Write options. See patch().
+   *
+   * @return {Object}
+   *   The parameters with the conditions added.
+   */
+  static addPatchConditions(params, data, options) {
+    this.addConditions(params, _.get(options, 'conditions'));
+
+    if (_.has(options, 'versionAttribute')) {
+      const version = this.normalizeVersion(data[options.versionAttribute]);
+      this.addConditionExpression(params, {
+        groups: [],
+        conditions: [this.buildVersionCondition(options.versionAttribute, version)],
+      });
+    }
+
+    return params;
+  }
+
+  /**
+   * Adds the timestamps and expiry managed by Exciter to the data of a write
+   * operation.
+   *
+   * @see put
+   *
+   * @param {Object} data
+   *   The data being written.
+   * @param {Object} options
+   *   Write options. See put().
+   * @param {String} operation
+   *   The write operation: "create", "put" or "patch".
+   *
+   * @return {Object}
+   *   A copy of the data including the managed attributes. For updates,
+   *   createdAt is only written if it doesn't exist and a null ttl removes the
+   *   expiry.
+   */
+  static applyManagedAttributes(data, options, operation) {
+    const timestamps = this.normalizeTimestamps(_.get(options, 'timestamps'));
+    // Puts which preserve createdAt are written by an update. See put().
+    const update = operation === 'patch'
+      || (operation === 'put' && this.isUpdatingPut(false, options));
+    let managed = _.clone(data);
+
+    if (timestamps) {
+      const now = this.formatTimestamp(new Date(), timestamps.format);
+      const missing = _.isNil(managed[timestamps.createdAt]);
+      managed[timestamps.updatedAt] = now;
+
+      if (operation === 'patch' || (update && missing)) {
+        managed = _.omit(managed, timestamps.createdAt);
+        managed.$ifNotExists = _.assign({ [timestamps.createdAt]: now }, data.$ifNotExists);
+      }
+      else if (operation === 'create' || missing) {
+        managed[timestamps.createdAt] = now;
+      }
+    }
+
+    if (_.has(options, 'ttl')) {
+      const attribute = _.get(options, 'ttlAttribute', 'ttl');
+
+      if (!_.isNull(options.ttl)) {
+        managed[attribute] = this.ttlValue(options.ttl);
+      }
+      else if (update) {
+        managed.$remove = _.castArray(managed.$remove || []).concat(attribute);
+      }
+    }
+
+    return managed;
+  }
+
+  /**
+   * Normalizes the timestamps option of a write operation.
+   *
+   * @param {Boolean|Object} timestamps
+   *   The timestamps option. See put().
+   *
+   * @throws {Error}
+   *   Will throw an error if an unsupported format is used.
+   *
+   * @return {Object|null}
+   *   The timestamp attribute names and format, or null if timestamps are
+   *   disabled.
+   */
+  static normalizeTimestamps(timestamps) {
+    if (!timestamps) {
+      return null;
+    }
+
+    const normalized = _.assign(
+      { createdAt: 'createdAt', updatedAt: 'updatedAt', format: 'iso' },
+      _.isPlainObject(timestamps) ? timestamps : {}
+    );
+    if (['iso', 'epoch'].indexOf(normalized.format) === -1) {
+      throw new Error(`Unsupported timestamp format: ${normalized.format}. Allowed formats: iso, epoch.`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Formats a timestamp.
+   *
+   * @param {Date} date
+   *   The time to format.
+   * @param {String} format
+   *   "iso" for an ISO 8601 string or "epoch" for seconds since the epoch.
+   *
+   * @return {String|Integer}
+   *   The formatted timestamp.
+   */
+  static formatTimestamp(date, format) {
+    return format === 'epoch' ? Math.floor(date.getTime() / 1000) : date.toISOString();
+  }
+
+  /**
+   * Converts a ttl option into the value DynamoDB's time to live expects.
+   *
+   * @param {Number|Date} ttl
+   *   A Date, or a number of seconds from now.
+   *
+   * @throws {Error}
+   *   Will throw an error if the ttl is not a valid Date or number.
+   *
+   * @return {Integer}
+   *   The expiry time in seconds since the epoch.
+   */
+  static ttlValue(ttl) {
+    let expires;
+    if (_.isNumber(ttl)) {
+      expires = Date.now() + (ttl * 1000);
+    }
+    else if (_.isDate(ttl)) {
+      expires = ttl.getTime();
+    }
+
+    if (!_.isFinite(expires)) {
+      throw new Error(`Invalid ttl: ${ttl}. Use a Date or a number of seconds from now.`);
+    }
+
+    return Math.floor(expires / 1000);
+  }
+
+  /**
+   * Applies an empty value policy to the data of a write operation.
+   *
+   * @see put
+   *
+   * @param {Object} data
+   *   The data being written.
+   * @param {String|Object} policy
+   *   The empty value policy. See the emptyValues option of put().
+   * @param {String} [defaultPolicy]
+   *   The policy of the types the policy leaves out. Defaults to dropping
+   *   empty strings and arrays and storing null.
+   *
+   * @throws {Error}
+   *   Will throw an error if an unsupported policy is used.
+   *
+   * @return {Object}
+   *   The data to write and the names of the attributes to remove.
+   *   {
+   *     data: <data>,
+   *     remove: [<name>]
+   *   }
+   */
+  static applyEmptyValues(data, policy, defaultPolicy) {
+    const defaults = _.isNil(defaultPolicy)
+      ? { string: 'drop', array: 'drop', null: 'store' }
+      : { string: defaultPolicy, array: defaultPolicy, null: defaultPolicy };
+    const policies = _.isString(policy)
+      ? _.mapValues(defaults, () => policy)
+      : _.assign(defaults, policy);
+
+    _.forEach(policies, (action) => {
+      if (['drop', 'remove', 'store'].indexOf(action) === -1) {
+        throw new Error(`Unsupported empty value policy: ${action}. Allowed policies: drop, remove, store.`);
+      }
+    });
+
+    return Object.keys(data).reduce((result, name) => {
+      const value = data[name];
+      let action = 'store';
+
+      if (value === '') {
+        action = policies.string;
+      }
+      else if (_.isArray(value) && value.length < 1) {
+        action = policies.array;
+      }
+      else if (value === null) {
+        action = policies.null;
+      }
+
+      // DynamoDB has no representation for undefined.
+      if (value === undefined || action === 'drop') {
+        return result;
+      }
+
+      if (action === 'remove') {
+        result.remove.push(name);
+      }
+      else {
+        result.data[name] = value;
+      }
+      return result;
+    }, { data: {}, remove: [] });
+  }
+
+  /**
+   * Builds the DocumentClient parameters for a delete operation.
+   *
+   * @see delete
+   *
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object containing key value pairs for the DynamoDB
+   *   partitionKey and sortKey.
+   * @param {String} table
+   *   The table from which to delete the document.
+   * @param {Object} options
+   *   Write options. See delete().
+   *
+   * @return {Object}
+   *   The parameters to pass to DocumentClient.delete().
+   */
+  static buildDeleteParams(primaryKey, table, options) {
+    const params = {
+      TableName: table,
+      Key: primaryKey,
+    };
+
+    this.addConditions(params, _.get(options, 'conditions'));
+
+    if (_.has(options, 'versionAttribute') && _.has(options, 'version')) {
+      const version = this.normalizeVersion(options.version);
+      this.addConditionExpression(params, {
+        groups: [],
+        conditions: [this.buildVersionCondition(options.versionAttribute, version)],
+      });
+    }
+
+    return params;
+  }
+
+  /**
+   * Adds conditions to the parameters of a write operation.
+   *
+   * Condition placeholders are prefixed with "condition_", and conditions
+   * whose placeholders are still taken by the data being written are renamed
+   * by uniquePlaceholders(). Any existing condition expression, such as the
+   * one used by create(), is preserved and combined with the new conditions
+   * using "AND".
+   *
+   * @param {Object} params
+   *   The DocumentClient parameters of the write operation.
+   * @param {Object} rawConditions
+   *   The conditions in the same format as the rawFilters accepted by query().
+   *
+   * @return {Object}
+   *   The parameters with the conditions added.
+   */
+  static addConditions(params, rawConditions) {
+    const filters = this.normalizeFilters(rawConditions || {}, 'condition_');
+
+    if (_.isEmpty(filters.conditions)) {
+      return params;
+    }
+
+    return this.addConditionExpression(params, filters);
+  }
+
+  /**
+   * Adds a projection expression to the parameters of a read operation.
+   *
+   * Each attribute gets its own placeholder prefix, and projections whose
+   * placeholders are taken by filter expressions are renamed.
+   *
+   * @param {Object} params
+   *   The DocumentClient parameters of the read operation.
+   * @param {String[]} attributes
+   *   The attributes to retrieve. Dots refer to nested attributes.
+   *
+   * @return {Object}
+   *   The parameters with the projection expression added.
+   */
+  static addProjection(params, attributes) {
+    const projections = this.uniquePlaceholders(
+      _.uniq(attributes).map((path, i) => ({ name: `projection${i}`, path })),
+      params
+    );
+
+    params.ProjectionExpression = projections.map((projection) => {
+      const placeholder = `#${projection.name}_`;
+      return `${placeholder}${projection.path.replace(/\./g, `.${placeholder}`)}`;
+    }).join(', ');
+    params.ExpressionAttributeNames = this.mergePlaceholders(
+      params.ExpressionAttributeNames,
+      this.buildExpressionPlaceholders(projections, '#')
+    );
+
+    return params;
+  }
+
+  /**
+   * Removes the projection expression from the parameters of a read operation.
+   *
+   * Count requests can't include a projection expression.
+   *
+   * @see addProjection()
+   *
+   * @param {Object} params
+   *   The DocumentClient parameters of the read operation.
+   *
+   * @return {Object}
+   *   A copy of the parameters without the projection expression or its
+   *   placeholders.
+   */
+  static omitProjection(params) {
+    const unprojected = _.omit(params, 'ProjectionExpression');
+
+    if (_.has(params, 'ProjectionExpression')) {
+      unprojected.ExpressionAttributeNames = _.omitBy(
+        params.ExpressionAttributeNames,
+        (value, placeholder) => /^#projection\d+_/.test(placeholder)
+      );
+    }
+
+    return unprojected;
+  }
+
+  /**
+   * Adds a condition expression to the parameters of a write operation.
+   *
+   * Conditions whose placeholders are already used by the parameters are
+   * renamed, so they never collide with the data being written.
+   *
+   * @see uniquePlaceholders()
+   *
+   * @param {Object} params
+   *   The DocumentClient parameters of the write operation.
+   * @param {Object} filters
+   *   The normalized groups and conditions as returned by normalizeFilters().
+   *
+   * @return {Object}
+   *   The parameters with the condition expression added. Any existing
+   *   condition expression is combined with the new one using "AND".
+   */
+  static addConditionExpression(params, filters) {
+    const conditions = this.uniquePlaceholders(filters.conditions, params);
+    const expression = this.buildFilterExpression(_.assign({}, filters, { conditions }));
+
+    params.ConditionExpression = _.has(params, 'ConditionExpression')
+      ? `(${params.ConditionExpression}) AND ${expression}`
+      : expression;
+    params.ExpressionAttributeNames = this.mergePlaceholders(
+      params.ExpressionAttributeNames,
+      this.buildExpressionPlaceholders(conditions, '#')
+    );
+
+    const values = this.mergePlaceholders(
+      params.ExpressionAttributeValues,
+      this.buildExpressionPlaceholders(conditions, ':')
+    );
+    if (!_.isEmpty(values)) {
+      params.ExpressionAttributeValues = values;
+    }
+
+    return params;
+  }
+
+  /**
+   * Builds the condition guarding an optimistically locked write.
+   *
+   * @param {String} attribute
+   *   The name of the version attribute.
+   * @param {Integer} version
+   *   The version the stored record must have. Zero means the record must
+   *   not have a version yet.
+   *
+   * @return {Object}
+   *   A normalized condition.
+   */
+  static buildVersionCondition(attribute, version) {
+    if (version === 0) {
+      return { name: 'version_lock', path: attribute, operator: 'exists', value: false };
+    }
+    return { name: 'version_lock', path: attribute, operator: '=', value: version };
+  }
+
+  /**
+   * Validates the version of an optimistically locked record.
+   *
+   * @param {Mixed} version
+   *   The version provided by the caller.
+   *
+   * @throws {Error}
+   *   Will throw an error if the version is not a non-negative integer.
+   *
+   * @return {Integer}
+   *   The version, or zero if none was provided.
+   */
+  static normalizeVersion(version) {
+    if (_.isNil(version)) {
+      return 0;
+    }
+    if (!_.isInteger(version) || version < 0) {
+      throw new Error(`Invalid version: ${version}. Versions must be non-negative integers.`);
+    }
+    return version;
+  }
+
+  /**
+   * Builds the DocumentClient parameters for a condition check.
+   *
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object identifying the document to check.
+   * @param {String} table
+   *   The table containing the document.
+   * @param {Object} rawFilters
+   *   The conditions the document must satisfy, in the same format as the
+   *   rawFilters accepted by query().
+   *
+   * @return {Object}
+   *   The parameters for a ConditionCheck operation.
+   */
+  static buildConditionCheckParams(primaryKey, table, rawFilters) {
+    const filters = this.normalizeFilters(rawFilters);
+
+    if (_.isEmpty(filters.conditions)) {
+      throw new Error('A condition check requires at least one condition.');
+    }
+
+    return {
+      TableName: table,
+      Key: primaryKey,
+      ConditionExpression: this.buildFilterExpression(filters),
+      ExpressionAttributeNames: this.buildExpressionPlaceholders(filters.conditions, '#'),
+      ExpressionAttributeValues: this.buildExpressionPlaceholders(filters.conditions, ':'),
+    };
+  }
+
+  /**
+   * Convert a primary key into normalized key conditions.
+   *
+   * @see validateKeyConditions()
+   *
+   * @param {PrimaryKey} primaryKey
+   *   The partition key and optionally the sort key of a query. The sort key
+   *   may be a condition using one of the operators allowed in key condition
+   *   expressions: =, <, <=, >, >=, between and startswith.
+   *
+   * @throws {Error}
+   *   Will throw an error if the key conditions can't be used in a key
+   *   condition expression.
+   *
+   * @returns {Object[]}
+   *   The normalized conditions of each non-empty key property.
+   */
+  static normalizeKeys(primaryKey) {
+    const keys = Object.keys(primaryKey)
+      // Remove empty key properties. The sort key is optional.
+      .filter(name => !this.valueIsEmpty(primaryKey[name]))
+      .map(name => this.normalizeCondition(primaryKey[name], name));
+
+    return this.validateKeyConditions(keys);
+  }
+
+  /**
+   * Builds the params of a query which only uses key conditions.
+   *
+   * @param {Object[]} keys
+   *   The normalized key conditions.
+   * @param {String} table
+   *   The table to query.
+   * @param {Object} query
+   *   The query options, for the index and sort order.
+   *
+   * @returns {Object}
+   *   The params to pass to DocumentClient.query().
+   */
+  static buildKeyParams(keys, table, query) {
+    const params = {
+      KeyConditionExpression: this.buildConditionExpression(keys),
+      ExpressionAttributeNames: this.buildExpressionPlaceholders(keys, '#'),
+      ExpressionAttributeValues: this.buildExpressionPlaceholders(keys, ':'),
+      ScanIndexForward: query.sortAscending ? query.pageForward : !query.pageForward,
+      TableName: table,
+    };
+    if (query.index) {
+      params.IndexName = query.index;
+    }
+    return params;
+  }
+
+  /**
+   * Ensures normalized key conditions are accepted by DynamoDB.
+   *
+   * A key condition expression must test the partition key for equality and
+   * may contain a single condition on the sort key.
+   *
+   * @param {Object[]} keys
+   *   The normalized key conditions.
+   *
+   * @throws {Error}
+   *   Will throw an error describing the first invalid key condition.
+   *
+   * @returns {Object[]}
+   *   The key conditions.
+   */
+  static validateKeyConditions(keys) {
+    const allowedOperators = ['=', '<', '<=', '>', '>=', 'between', 'startswith'];
+
+    keys.forEach((key) => {
+      if (allowedOperators.indexOf(key.operator) === -1) {
+        throw new Error(`Unsupported key operator: ${key.operator} on "${key.name}". Allowed key operators: ${allowedOperators.join(', ')}.`);
+      }
+      if (key.negate || key.size || _.has(key, 'path') || _.has(key, 'compareTo')) {
+        throw new Error(`Key condition "${key.name}" cannot be negated or use a path, size or compareTo.`);
+      }
+    });
+
+    if (keys.length > 2) {
+      throw new Error(`A query accepts a partition key and a sort key. Received: ${_.map(keys, 'name').join(', ')}.`);
+    }
+    if (!_.some(keys, { operator: '=' })) {
+      throw new Error('A query requires a partition key using the = operator.');
+    }
+
+    return keys;
+  }
+
+  /**
+   * Adds an operator which may be used in filters and conditions.
+   *
+   * @example
+   * Exciter.registerOperator('lengthBetween', (subject, values) => (
+   *   `size(${subject}) BETWEEN ${values[0]} AND ${values[1]}`
+   * ));
+   *
+   * @param {String} name
+   *   The name of the operator, as used by the operator property of a
+   *   condition.
+   * @param {Function} build
+   *   Builds the expression of a condition using the operator. Called with
+   *   the placeholder of the property, the placeholder of the value (an array
+   *   of placeholders for array values) and the normalized condition. The
+   *   expression is negated when the condition is.
+   *
+   * @throws {Error}
+   *   Will throw an error if the operator is already defined.
+   *
+   * @return {Function}
+   *   The Exciter class, so that operators may be registered in a chain.
+   */
+  static registerOperator(name, build) {
+    if (builtInOperators.indexOf(name) !== -1 || _.has(customOperators, name)) {
+      throw new Error(`Operator "${name}" is already defined.`);
+    }
+    customOperators[name] = build;
+    return this;
+  }
+
+  /**
+   * Convert raw filters into normalized groups and conditions.
+   *
+   * @see normalizeGroup()
+   * @see normalizeCondition()
+   *
+   * @param {Object} rawFilters
+   *   A set of filtering operations keyed by name. Each contains either a
+   *   "group" or a "condition" property.
+   * @param {String} prefix
+   *   An optional prefix for condition names. Condition names are used as
+   *   expression placeholders, so a prefix keeps them from colliding with
+   *   other placeholders in the same request. Conditions without a path use
+   *   their unprefixed name as the path.
+   *
+   * @returns {Object}
+   *   An object containing arrays of normalized groups and conditions.
+   *   {
+   *     groups: [<group>],
+   *     conditions: [<condition>]
+   *   }
+   */
+  static normalizeFilters(rawFilters, prefix) {
+    const names = type => Object.keys(rawFilters).filter(name => _.has(rawFilters[name], type));
+
+    return {
+      groups: names('group').map(name => this.normalizeGroup(rawFilters[name].group, name)),
+      conditions: names('condition').map((name) => {
+        const condition = this.normalizeCondition(
+          rawFilters[name].condition,
+          `${prefix || ''}${name}`
+        );
+        if (prefix && !_.has(condition, 'path')) {
+          condition.path = name;
+        }
+        return condition;
+      }),
+    };
+  }
+
+  /**
+   * Convert raw filter groups into a consistent format for use in condition
+   * expressions.
+   *
+   * @param {Object} rawGroup
+   *   The raw group object to be normalized.
+   * @param {String} name
+   *   The name of the group.
+   *
+   * @throws {Error}
+   *   Will throw an error if an unsuppored conjunction is used.
+   *
+   * @returns {Object}
+   *   The normalized group object.
+   *   {
+   *     name: <name>
+   *     conjunction: <AND|OR>
+   *     memberOf: <parent group name, if any>
+   *   }
+   */
+  static normalizeGroup(rawGroup, name) {
+    const group = { name, conjunction: this.normalizeConjunction(_.get(rawGroup, 'conjunction')) };
+
+    if (_.has(rawGroup, 'memberOf')) {
+      group.memberOf = rawGroup.memberOf;
+    }
+
+    return group;
+  }
+
+  /**
+   * Validates the conjunction joining the members of a group.
+   *
+   * @param {String} conjunction
+   *   The conjunction, if any.
+   *
+   * @throws {Error}
+   *   Will throw an error if an unsuppored conjunction is used.
+   *
+   * @returns {String}
+   *   The conjunction, which defaults to "AND".
+   */
+  static normalizeConjunction(conjunction) {
+    if (_.isUndefined(conjunction)) {
+      return 'AND';
+    }
+    if (['AND', 'OR'].indexOf(conjunction) === -1) {
+      throw new Error(`Unsupported group conjunction: ${conjunction}. Allowed conjunctions: AND, OR.`);
+    }
+    return conjunction;
+  }
+
+  /**
+   * Convert raw filter conditions into a consistent format for use in condition
+   * expressions.
+   *
+   * @see buildConditionExpression()
+   *
+   * @param {Object} rawCondition
+   *   The raw condition object to be normalized.
+   * @param {String} name
+   *   The name of the condition. Will be used as the path if none is provided.
+   *
+   * @returns {Object}
+   *   The normalized condition object.
+   */
+  static normalizeCondition(rawCondition, name) {
+    // Conditions comparing two properties don't have a value.
+    const condition = _.has(rawCondition, 'compareTo') && _.isPlainObject(rawCondition)
+      ? _.assign({ name }, rawCondition)
+      : this.normalizeExpressionAttribute(rawCondition, name);
+    const allowedProps = [
+      'name', 'path', 'operator', 'value', 'memberOf', 'negate', 'size', 'compareTo',
+    ];
+    return _.pick(_.assign({ operator: '=' }, condition), allowedProps);
+  }
+
+  /**
+   * Convert raw attribute values to a consistent format for use in building
+   * DynamoDB expressions.
+   *
+   * @see buildExpressionPlaceholders()
+   *
+   * @param {Mixed} rawValue
+   *   The raw attribute object or value to be normalized.
+   * @param {String} name
+   *   The name of the attribute.
+   *
+   * @throws {Error}
+   *   Will throw an error if the attribute is missing a name or value.
+   *
+   * @returns {Object}
+   *   The normalized attribute object.
+   */
+  static normalizeExpressionAttribute(rawValue, name) {
+    if (_.isNil(name)) {
+      throw new Error('Attribute is missing a name.');
+    }
+
+    let attribute = rawValue;
+    if (!_.isPlainObject(rawValue) || !_.has(rawValue, 'value')) {
+      attribute = { value: rawValue };
+    }
+
+    // Fail when value is undefined.
+    if (attribute.value === undefined) {
+      throw new Error(`Attribute "${name}" is missing a value.`);
+    }
+
+    return _.assign({ name }, attribute);
+  }
+
+  /**
+   * Flattens nested objects into a single object keyed by dotted paths.
+   *
+   * Arrays and empty objects are treated as leaf values.
+   *
+   * @param {Object} data
+   *   The object to flatten.
+   * @param {String} prefix
+   *   The path of the object within the data being flattened.
+   *
+   * @return {Object}
+   *   The leaf values keyed by their paths.
+   */
+  static flattenPaths(data, prefix) {
+    return Object.keys(data).reduce((flat, name) => {
+      const path = prefix ? `${prefix}.${name}` : name;
+      if (_.isPlainObject(data[name]) && !_.isEmpty(data[name])) {
+        return _.assign(flat, this.flattenPaths(data[name], path));
+      }
+      flat[path] = data[name];
+      return flat;
+    }, {});
+  }
+
+  /**
+   * Nest property value under a value property.
+   * Ensures raw entity data can be processed by buildUpdateExpression
+   *
+   * @see normalizeExpressionAttribute()
+   * @see buildUpdateExpression()
    *
    * @param {Object} data
    *   The raw object to be normalized.
@@ -546,13 +3129,94 @@ class Exciter {
    */
   static normalizeDataValues(data) {
     return Object.keys(data)
-      .filter(attName => !this.valueIsEmpty(data[attName]))
+      .filter(attName => data[attName] !== undefined)
       .map(attName => this.normalizeExpressionAttribute({ value: data[attName] }, attName));
   }
 
+  /**
+   * Convert update operators into normalized attributes for use in building
+   * an update expression.
+   *
+   * Each operator is keyed by the paths it applies to. Dots in a path denote
+   * nested attributes.
+   *   {
+   *     $inc: { views: 1, 'stats.shares': 2 },
+   *     $add: { tags: ['new'] },
+   *     $append: { history: [{ event: 'viewed' }] },
+   *     $remove: ['draft', 'stats.stale'],
+   *     $delete: { tags: ['old'] },
+   *     $ifNotExists: { firstViewed: '2017-01-01' }
+   *   }
+   *
+   * @see buildUpdateExpression()
+   *
+   * @param {Object} operators
+   *   The update operators keyed by operator name.
+   *
+   * @throws {Error}
+   *   Will throw an error if an unsupported operator is used or an increment
+   *   is not a number.
+   *
+   * @returns {Array}
+   *   An array of normalized attributes, each containing the operation to
+   *   apply to its path.
+   */
+  static normalizeUpdateOperations(operators) {
+    const operations = {
+      $inc: 'inc',
+      $add: 'add',
+      $append: 'append',
+      $remove: 'remove',
+      $delete: 'delete',
+      $ifNotExists: 'ifNotExists',
+    };
+
+    return _.flatMap(Object.keys(operators), (operator) => {
+      const operation = operations[operator];
+      if (!operation) {
+        throw new Error(`Unsupported update operator: ${operator}. Allowed operators: ${Object.keys(operations).join(', ')}.`);
+      }
+
+      // $remove is the only operator which does not need values.
+      const paths = operation === 'remove'
+        ? _.castArray(operators[operator])
+        : Object.keys(operators[operator]);
+
+      return paths.map((path) => {
+        const attribute = { name: `${operation}_${path.replace(/\W/g, '_')}`, path, operation };
+        if (operation === 'remove') {
+          return attribute;
+        }
+
+        attribute.value = operators[operator][path];
+        if (operation === 'inc') {
+          if (!_.isNumber(attribute.value)) {
+            throw new Error(`Cannot increment "${path}" by ${attribute.value}. Increments must be numbers.`);
+          }
+          attribute.default = 0;
+        }
+        else if (operation === 'append') {
+          attribute.value = _.castArray(attribute.value);
+          attribute.default = [];
+        }
+        // ADD and DELETE operate on sets, so convert arrays to DynamoDB sets.
+        else if (['add', 'delete'].indexOf(operation) !== -1 && _.isArray(attribute.value)) {
+          attribute.value = aws.DynamoDB.DocumentClient.prototype.createSet(attribute.value);
+        }
+
+        return attribute;
+      });
+    });
+  }
+
   /**
    * Builds a DynamoDB update expression
    *
+   * Attributes are set unless they contain an operation, in which case the
+   * operation determines the clause of the expression they are added to.
+   *
+   * @see normalizeUpdateOperations()
+   *
    * @param {Array} attributes
    *   An array of data attributes to update on an entity in DynamoDB.
    *
@@ -560,15 +3224,113 @@ class Exciter {
    *   A property escaped expression for udpating DynamoDB.
    */
   static buildUpdateExpression(attributes) {
-    const exp = attributes.map((attribute) => {
+    const clauses = { SET: [], REMOVE: [], ADD: [], DELETE: [] };
+
+    attributes.forEach((attribute) => {
       let path = attribute.name;
       if (_.has(attribute, 'path')) {
         path = attribute.path.replace(/\./g, `.#${attribute.name}_`);
         path = `${attribute.name}_${path}`;
       }
-      return `#${path} = :${attribute.name}`;
-    }).join(', ');
-    return `SET ${exp}`;
+      path = `#${path}`;
+      const value = `:${attribute.name}`;
+
+      switch (attribute.operation) {
+        case 'inc': {
+          // Missing counters start from zero.
+          clauses.SET.push(`${path} = if_not_exists(${path}, ${value}_default) + ${value}`);
+          break;
+        }
+        case 'append': {
+          const list = `if_not_exists(${path}, ${value}_default)`;
+          clauses.SET.push(`${path} = list_append(${list}, ${value})`);
+          break;
+        }
+        case 'ifNotExists': {
+          clauses.SET.push(`${path} = if_not_exists(${path}, ${value})`);
+          break;
+        }
+        case 'remove': {
+          clauses.REMOVE.push(path);
+          break;
+        }
+        case 'add':
+        case 'delete': {
+          clauses[attribute.operation.toUpperCase()].push(`${path} ${value}`);
+          break;
+        }
+        default: {
+          clauses.SET.push(`${path} = ${value}`);
+        }
+      }
+    });
+
+    return Object.keys(clauses)
+      .filter(clause => clauses[clause].length > 0)
+      .map(clause => `${clause} ${clauses[clause].join(', ')}`)
+      .join(' ');
+  }
+
+  /**
+   * Builds a DynamoDB filter expression from normalized filters.
+   *
+   * Groups form a tree: the members of a group, which are conditions and
+   * other groups, are joined by the group's conjunction. Groups and
+   * ungroupped conditions are then joined with the top-level conjunction.
+   * Groups without any conditions are ignored.
+   *
+   * @see normalizeFilters()
+   *
+   * @param {Object} filters
+   *   The normalized groups and conditions as returned by normalizeFilters().
+   * @param {String} conjunction=AND
+   *   The conjunction joining top-level groups and conditions.
+   *
+   * @throws {Error}
+   *   Will throw an error if a group or condition is a member of an unknown
+   *   group, or if groups are members of each other.
+   *
+   * @return {String}
+   *   A property escaped expression for filtering DynamoDB results.
+   */
+  static buildFilterExpression(filters, conjunction) {
+    const groups = _.keyBy(filters.groups, 'name');
+
+    // Ensure every group belongs to a tree.
+    filters.groups.concat(filters.conditions).forEach((member) => {
+      if (_.has(member, 'memberOf') && !_.has(groups, member.memberOf)) {
+        throw new Error(`Unknown group "${member.memberOf}" referenced by "${member.name}".`);
+      }
+    });
+    filters.groups.forEach((group) => {
+      const ancestors = [group.name];
+      let parent = group.memberOf;
+      while (!_.isUndefined(parent)) {
+        const cycle = ancestors.indexOf(parent);
+        if (cycle !== -1) {
+          const path = ancestors.slice(cycle).concat(parent).join(' > ');
+          throw new Error(`Group "${parent}" is a member of itself: ${path}.`);
+        }
+        ancestors.push(parent);
+        parent = groups[parent].memberOf;
+      }
+    });
+
+    const build = (parent, groupConjunction) => {
+      const expressions = _.compact(filters.groups
+        .filter(group => group.memberOf === parent)
+        .map(group => build(group.name, group.conjunction)));
+
+      const conditions = filters.conditions.filter(con => con.memberOf === parent);
+      if (conditions.length > 0) {
+        expressions.push(this.buildConditionExpression(conditions, groupConjunction));
+      }
+
+      const expression = expressions.join(` ${groupConjunction} `);
+      return _.isUndefined(parent) || expressions.length < 2 ? expression : `(${expression})`;
+    };
+
+    return build(undefined, this.normalizeConjunction(conjunction));
   }
 
   /**
@@ -599,9 +3361,37 @@ class Exciter {
         path = `${operation.name}_${path}`;
       }
 
+      // Custom operators decide how to use size and compareTo themselves.
+      const custom = _.has(customOperators, operation.operator);
+      const comparisons = ['=', '<', '>', '<=', '>=', '!='];
+      const sizeOperators = comparisons.concat('in', 'notin', 'between');
+      let subject = `#${path}`;
+      let operand = `:${operation.name}`;
+
+      if (operation.size) {
+        if (!custom && sizeOperators.indexOf(operation.operator) === -1) {
+          throw new Error(`The "${operation.operator}" operator does not support size.`);
+        }
+        subject = `size(${subject})`;
+      }
+      if (_.has(operation, 'compareTo')) {
+        if (!custom && comparisons.indexOf(operation.operator) === -1) {
+          throw new Error(`The "${operation.operator}" operator does not support compareTo.`);
+        }
+        const prefix = `#${operation.name}_compareTo_`;
+        operand = `${prefix}${operation.compareTo.replace(/\./g, `.${prefix}`)}`;
+      }
+
+      // Handle custom operators.
+      if (custom) {
+        const value = _.isArray(operation.value) && !_.has(operation, 'compareTo')
+          ? operation.value.map((val, i) => `:${operation.name}${i}`)
+          : operand;
+        condition.push(customOperators[operation.operator](subject, value, operation));
+      }
       // Handle simple operators.
-      if (['=', '<', '>', '<=', '>='].indexOf(operation.operator) !== -1) {
-        condition.push(`#${path} ${operation.operator} :${operation.name}`);
+      else if (['=', '<', '>', '<=', '>='].indexOf(operation.operator) !== -1) {
+        condition.push(`${subject} ${operation.operator} ${operand}`);
       }
       // Handle more complicated operators.
       else {
@@ -614,7 +3404,7 @@ class Exciter {
 
         switch (operation.operator) {
           case '!=': {
-            condition.push(`NOT #${path} = :${operation.name}`);
+            condition.push(`NOT ${subject} = ${operand}`);
             break;
           }
           case 'notin': {
@@ -623,15 +3413,19 @@ class Exciter {
           // falls through
           case 'in': {
             const list = operation.value.map((val, i) => `:${operation.name}${i}`).join(', ');
-            condition.push(`#${path} IN (${list})`);
+            condition.push(`${subject} IN (${list})`);
             break;
           }
           case 'between': {
-            condition.push(`#${path} BETWEEN :${operation.name}0 AND :${operation.name}1`);
+            condition.push(`${subject} BETWEEN :${operation.name}0 AND :${operation.name}1`);
             break;
           }
+          case 'notcontains': {
+            condition.push('NOT ');
+          }
+          // falls through
           case 'contains': {
-            condition.push(`${operation.operator}(#${path}, :${operation.name})`);
+            condition.push(`contains(#${path}, :${operation.name})`);
             break;
           }
           case 'startswith': {
@@ -643,6 +3437,13 @@ class Exciter {
             condition.push(`${fun}(#${path})`);
             break;
           }
+          case 'type': {
+            if (attributeTypes.indexOf(operation.value) === -1) {
+              throw new Error(`Unsupported attribute type: ${operation.value}. Allowed types: ${attributeTypes.join(', ')}.`);
+            }
+            condition.push(`attribute_type(#${path}, :${operation.name})`);
+            break;
+          }
           default: {
             throw new Error(`Unsupported operator: ${operation.operator}`);
           }
@@ -684,6 +3485,25 @@ class Exciter {
         else {
           values[`${substitutionChar}${attribute.name}`] = String(attribute.name);
         }
+        // Comparisons between properties reference the other property by name.
+        if (_.has(attribute, 'compareTo')) {
+          attribute.compareTo.split('.').forEach((fragment) => {
+            values[`${substitutionChar}${attribute.name}_compareTo_${fragment}`] = String(fragment);
+          });
+        }
+      }
+      // The exists operator does not reference its value in expressions, and
+      // comparisons between properties have no value.
+      else if (attribute.operator === 'exists' || attribute.operation === 'remove'
+          || _.has(attribute, 'compareTo')) {
+        return values;
+      }
+      // Update operations use whole values, such as the list to append.
+      else if (_.has(attribute, 'operation')) {
+        values[`${substitutionChar}${attribute.name}`] = attribute.value;
+        if (_.has(attribute, 'default')) {
+          values[`${substitutionChar}${attribute.name}_default`] = attribute.default;
+        }
       }
       // Handle array values.
       else if (_.isArray(attribute.value)) {
@@ -700,6 +3520,287 @@ class Exciter {
     }, {});
   }
 
+  /**
+   * Renames attributes whose placeholders are already used by a request.
+   *
+   * Placeholders are derived from attribute names, so data named like the
+   * placeholders of an update operation would otherwise reuse them. Each
+   * attribute which collides gets a numeric suffix, counted per request.
+   *
+   * @see buildExpressionPlaceholders()
+   *
+   * @param {Array} attributes
+   *   An array of normalized expression attributes.
+   * @param {Object} [params]
+   *   The DocumentClient parameters whose placeholders are already in use.
+   *
+   * @return {Array}
+   *   The attributes, renamed where needed so each placeholder is unique.
+   */
+  static uniquePlaceholders(attributes, params) {
+    const placeholders = attribute => Object.keys(_.assign(
+      this.buildExpressionPlaceholders([attribute], '#'),
+      this.buildExpressionPlaceholders([attribute], ':')
+    ));
+    let used = Object.keys(_.assign(
+      {},
+      _.get(params, 'ExpressionAttributeNames'),
+      _.get(params, 'ExpressionAttributeValues')
+    ));
+    let counter = 0;
+
+    return attributes.map((attribute) => {
+      let unique = attribute;
+      while (_.intersection(used, placeholders(unique)).length > 0) {
+        counter += 1;
+        // Renamed attributes keep referring to their original attribute.
+        unique = _.assign(
+          { path: attribute.name },
+          attribute,
+          { name: `${attribute.name}_${counter}` }
+        );
+      }
+      used = used.concat(placeholders(unique));
+      return unique;
+    });
+  }
+
+  /**
+   * Serializes a primary key into a string which uniquely identifies it.
+   *
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object.
+   *
+   * @return {String}
+   *   A string which is identical for primary keys with the same properties
+   *   and values, regardless of property order.
+   */
+  static serializeKey(primaryKey) {
+    return JSON.stringify(_.sortBy(_.toPairs(primaryKey), 0));
+  }
+
+  /**
+   * Identifies the query a cursor belongs to.
+   *
+   * @param {PrimaryKey} primaryKey
+   *   The primaryKey of the query.
+   * @param {String} table
+   *   The table of the query.
+   * @param {Object} query
+   *   The query options.
+   *
+   * @return {String}
+   *   A digest which is identical for queries with the same table, index,
+   *   primaryKey and rawFilters.
+   */
+  static cursorScope(primaryKey, table, query) {
+    const scope = this.canonicalize({
+      table,
+      index: query.index || null,
+      primaryKey,
+      rawFilters: query.rawFilters,
+    });
+    return crypto.createHash('sha256').update(JSON.stringify(scope)).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Sorts the keys of objects so equivalent values always serialize the same
+   * way.
+   *
+   * @param {mixed} value
+   *   The value to canonicalize. Nested objects and arrays are canonicalized
+   *   too.
+   *
+   * @return {mixed}
+   *   Plain objects are converted to arrays of key/value pairs sorted by key.
+   *   Other values are returned as they are.
+   */
+  static canonicalize(value) {
+    if (_.isArray(value)) {
+      return value.map(item => this.canonicalize(item));
+    }
+    return _.isPlainObject(value)
+      ? _.sortBy(_.toPairs(value), 0).map(pair => [pair[0], this.canonicalize(pair[1])])
+      : value;
+  }
+
+  /**
+   * Builds the key a total count is cached with.
+   *
+   * @param {Object} countParams
+   *   The params used to count, without Limit or ExclusiveStartKey.
+   * @param {String} method
+   *   The DocumentClient operation used to count.
+   *
+   * @return {String}
+   *   A key containing the table name and a digest of the index, key
+   *   conditions and filters of the count.
+   */
+  static countCacheKey(countParams, method) {
+    const scope = this.canonicalize([method, _.omit(countParams, ['ScanIndexForward'])]);
+    const digest = crypto.createHash('sha256').update(JSON.stringify(scope)).digest('hex');
+    return `exciter:count:${countParams.TableName}:${digest}`;
+  }
+
+  /**
+   * Describes a total count for a query or scan result.
+   *
+   * @param {Integer} totalCount
+   *   The total count.
+   * @param {Integer} [maxCount]
+   *   The count at which counting stopped, if any.
+   *
+   * @return {Object}
+   *   Contains the totalCount, and totalCountIsLowerBound if counting may
+   *   have stopped before every record was counted.
+   */
+  static describeTotal(totalCount, maxCount) {
+    const total = { totalCount };
+    if (totalCount >= maxCount) {
+      total.totalCountIsLowerBound = true;
+    }
+    return total;
+  }
+
+  /**
+   * Encodes a value as URL safe base64 without padding.
+   *
+   * @param {String|Buffer} value
+   *   The value to encode.
+   *
+   * @return {String}
+   *   The encoded value.
+   */
+  static base64Url(value) {
+    return Buffer.from(value).toString('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+
+  /**
+   * Converts the errors of failed requests to Exciter errors.
+   *
+   * Failed conditional writes are reported as a ConditionFailedError,
+   * throttled requests as a ThrottledError and requests DynamoDB rejected as
+   * invalid as a ValidationError. Any other error, such as a missing table or
+   * invalid input, is reported as an ExciterError. The original error is
+   * exposed as the cause of the Exciter error, which is given the operation,
+   * table and key it occurred in unless it already has them.
+   *
+   * @param {mixed} err
+   *   The rejected value.
+   * @param {Object} [context]
+   *   The operation, table and key of the failed request.
+   *
+   * @return {ExciterError}
+   *   The error to report.
+   */
+  static normalizeError(err, context) {
+    let error = err;
+    const code = _.get(err, 'code');
+    if (!(err instanceof errors.ExciterError)) {
+      const message = _.get(err, 'message', String(err));
+      const details = { code, cause: err };
+      if (code === 'ConditionalCheckFailedException') {
+        error = new errors.ConditionFailedError(message, details);
+      }
+      else if (this.throttlingErrors.indexOf(code) !== -1) {
+        error = new errors.ThrottledError(message, details);
+      }
+      else if (code === 'ValidationException') {
+        error = new errors.ValidationError(message, [], details);
+      }
+      else {
+        error = new errors.ExciterError(message, details);
+      }
+    }
+
+    return _.defaults(error, _.omitBy(context, _.isUndefined));
+  }
+
+  /**
+   * Calculates an exponential backoff delay.
+   *
+   * @param {Integer} attempt
+   *   The number of retries which have already been attempted.
+   * @param {Integer} baseDelay
+   *   The delay in milliseconds before the first retry.
+   * @param {Boolean} jitter=false
+   *   Whether to pick a random delay between zero and the exponential delay.
+   *   Jitter keeps concurrent retries from hitting DynamoDB at the same time.
+   *
+   * @return {Integer}
+   *   The number of milliseconds to wait before the next retry.
+   */
+  static backoffDelay(attempt, baseDelay, jitter) {
+    const delay = _.reduce(_.range(attempt), total => total * 2, baseDelay);
+    return jitter ? _.random(0, delay) : delay;
+  }
+
+  /**
+   * Maps items through an asynchronous iteratee with limited concurrency.
+   *
+   * @param {Array} items
+   *   The items to map.
+   * @param {Integer} limit
+   *   The maximum number of iteratee promises which may be pending at once.
+   * @param {Function} iteratee
+   *   Called with each item and its index. May return a promise.
+   *
+   * @return {Promise}
+   *   Resolves with the results in the same order as the items.
+   */
+  static mapLimit(items, limit, iteratee) {
+    const results = [];
+    let next = 0;
+
+    const work = () => {
+      if (next >= items.length) {
+        return Promise.resolve();
+      }
+      const index = next;
+      next += 1;
+
+      return Promise.resolve(iteratee(items[index], index))
+        .then((result) => {
+          results[index] = result;
+          return work();
+        });
+    };
+
+    return Promise.all(_.times(Math.min(Math.max(limit, 1), items.length), work))
+      .then(() => results);
+  }
+
+  /**
+   * Waits for the given number of milliseconds.
+   *
+   * @param {Integer} ms
+   *   The number of milliseconds to wait.
+   *
+   * @return {Promise}
+   *   Resolves once the time has elapsed.
+   */
+  static wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Merges expression placeholders from separate parts of a request.
+   *
+   * @param {Object} target
+   *   The existing placeholders, if any.
+   * @param {Object} source
+   *   The placeholders to add.
+   *
+   * @return {Object}
+   *   A new object containing every placeholder.
+   */
+  static mergePlaceholders(target, source) {
+    return _.assign({}, target, source);
+  }
+
   /**
    * Determines whether a value is empty according to DynamoDB.
    *
@@ -719,4 +3820,20 @@ class Exciter {
 
 }
 
+Exciter.errors = errors;
+// The error codes which indicate a request was throttled. They are reported
+// as a ThrottledError.
+Exciter.throttlingErrors = [
+  'ProvisionedThroughputExceededException',
+  'ThrottlingException',
+  'RequestLimitExceeded',
+];
+// The error codes retried by default. These indicate throttling or a
+// temporary failure of DynamoDB.
+Exciter.retryableErrors = Exciter.throttlingErrors.concat([
+  'InternalServerError',
+  'ServiceUnavailable',
+]);
+Exciter.MemoryCountCache = MemoryCountCache;
+
 module.exports = Exciter;
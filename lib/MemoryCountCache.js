@@ -0,0 +1,73 @@
+'use strict';
+
+/**
+ * Class representing an in-memory store for total counts which evicts the
+ * least recently used count when it is full
+ */
+class MemoryCountCache {
+  /**
+   * Other stores, such as one backed by Redis, may be configured instead as
+   * long as they implement get() and set() with the same signatures.
+   *
+   * @param {Integer} [maxEntries=1000]
+   *   The maximum number of counts to keep.
+   */
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries || 1000;
+    // Maps iterate in insertion order, so the first entry is always the least
+    // recently used one.
+    this.entries = new Map();
+  }
+
+  /**
+   * Retrieves a count.
+   *
+   * @param {String} key
+   *   The key the count was stored with.
+   *
+   * @return {Promise}
+   *   Resolves with the stored value, or undefined if there is none or it has
+   *   expired.
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return Promise.resolve();
+    }
+
+    this.entries.delete(key);
+    if (entry.expires <= Date.now()) {
+      return Promise.resolve();
+    }
+
+    // Mark the entry as the most recently used.
+    this.entries.set(key, entry);
+    return Promise.resolve(entry.value);
+  }
+
+  /**
+   * Stores a count.
+   *
+   * @param {String} key
+   *   The key to store the count with.
+   * @param {Object} value
+   *   The value to store.
+   * @param {Integer} ttl
+   *   The number of seconds after which the value expires.
+   *
+   * @return {Promise}
+   *   Resolves when the value has been stored.
+   */
+  set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expires: Date.now() + (ttl * 1000) });
+
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    return Promise.resolve();
+  }
+}
+
+module.exports = MemoryCountCache;
@@ -0,0 +1,345 @@
+'use strict';
+
+const _ = require('lodash');
+const errors = require('./errors');
+
+/**
+ * Checks whether a value matches an attribute type.
+ *
+ * @type {Object<String, Function>}
+ */
+const typeCheckers = {
+  string: _.isString,
+  number: _.isFinite,
+  boolean: _.isBoolean,
+  map: _.isPlainObject,
+  list: _.isArray,
+  set: value => _.get(value, 'wrapperName') === 'Set',
+  binary: value => Buffer.isBuffer(value) || ArrayBuffer.isView(value)
+    || value instanceof ArrayBuffer,
+};
+
+/** Class representing the records of a single table */
+class Model {
+  /**
+   * Models should be defined with Exciter.model() rather than constructed
+   * directly.
+   *
+   * @param {Exciter} exciter
+   *   The Exciter instance used to read and write records.
+   * @param {String} name
+   *   The name of the model. Used in validation messages.
+   * @param {Object} definition
+   *   The model definition.
+   * @param {String} definition.table
+   *   The table in which records are stored.
+   * @param {String} definition.partitionKey
+   *   The name of the partition key attribute.
+   * @param {String} [definition.sortKey]
+   *   The name of the sort key attribute, if the table has one.
+   * @param {Object} [definition.attributes]
+   *   Attribute definitions keyed by attribute name. Each is either a type
+   *   or an object containing a "type" and whether the attribute is
+   *   "required". Types are string, number, boolean, map, list, set and
+   *   binary. Attributes which are not defined are not validated.
+   *
+   * @throws {Error}
+   *   Will throw an error if the definition is incomplete or uses an
+   *   unsupported type.
+   */
+  constructor(exciter, name, definition) {
+    if (!_.has(definition, 'table') || !_.has(definition, 'partitionKey')) {
+      throw new Error(`Model "${name}" must define a table and a partitionKey.`);
+    }
+
+    this.exciter = exciter;
+    this.name = name;
+    this.table = definition.table;
+    this.partitionKey = definition.partitionKey;
+    this.sortKey = definition.sortKey;
+    this.attributes = _.mapValues(definition.attributes, (attribute, attributeName) => {
+      const normalized = _.isString(attribute) ? { type: attribute } : _.clone(attribute);
+      if (_.has(normalized, 'type') && !_.has(typeCheckers, normalized.type)) {
+        throw new Error(`Unsupported type "${normalized.type}" for attribute "${attributeName}". Allowed types: ${Object.keys(typeCheckers).join(', ')}.`);
+      }
+      return normalized;
+    });
+
+    // Key attributes are always required.
+    this.keyNames().forEach((keyName) => {
+      this.attributes[keyName] = _.assign({}, this.attributes[keyName], { required: true });
+    });
+  }
+
+  /**
+   * Creates a record.
+   *
+   * @see Exciter.create
+   *
+   * @param {Object} data
+   *   The record, including its primary key attributes.
+   * @param {Object} options
+   *   Write options. See Exciter.put().
+   *
+   * @return {Promise}
+   *   Resolves when the record has been written to DynamoDB. Rejects with a
+   *   ValidationError if the data is invalid.
+   */
+  create(data, options) {
+    return this.run('create', data, () => {
+      this.validate(data);
+      return this.exciter.create(data, this.primaryKey(data), this.table, options);
+    });
+  }
+
+  /**
+   * Creates or entirely replaces a record.
+   *
+   * @see Exciter.put
+   *
+   * @param {Object} data
+   *   The record, including its primary key attributes.
+   * @param {Object} options
+   *   Write options. See Exciter.put().
+   *
+   * @return {Promise}
+   *   Resolves when the record has been written to DynamoDB. Rejects with a
+   *   ValidationError if the data is invalid.
+   */
+  put(data, options) {
+    return this.run('put', data, () => {
+      this.validate(data);
+      return this.exciter.put(data, this.primaryKey(data), this.table, false, options);
+    });
+  }
+
+  /**
+   * Updates a record accepting partial data.
+   *
+   * @see Exciter.patch
+   *
+   * @param {Object} data
+   *   The attributes to update, including the primary key attributes.
+   *   Required attributes may be omitted.
+   * @param {Object} options
+   *   Write options. See Exciter.patch().
+   *
+   * @return {Promise}
+   *   Resolves when the record has been written to DynamoDB. Rejects with a
+   *   ValidationError if the data is invalid.
+   */
+  patch(data, options) {
+    return this.run('patch', data, () => {
+      this.validate(data, true);
+      return this.exciter.patch(data, this.primaryKey(data), this.table, options);
+    });
+  }
+
+  /**
+   * Retrieves a record.
+   *
+   * @see Exciter.load
+   *
+   * @param {Object} key
+   *   An object containing the primary key attributes of the record. Any
+   *   other attributes are ignored, so a record may be passed as well.
+   * @param {Object} options
+   *   Read options. See Exciter.load().
+   *
+   * @return {Promise}
+   *   Resolves with the DocumentClient response. Rejects with a
+   *   ValidationError if the key is invalid.
+   */
+  load(key, options) {
+    return this.run('load', key, () => this.exciter.load(this.validKey(key), this.table, options));
+  }
+
+  /**
+   * Deletes a record.
+   *
+   * @see Exciter.delete
+   *
+   * @param {Object} key
+   *   An object containing the primary key attributes of the record.
+   * @param {Object} options
+   *   Write options. See Exciter.delete().
+   *
+   * @return {Promise}
+   *   Resolves when the record has been deleted. Rejects with a
+   *   ValidationError if the key is invalid.
+   */
+  delete(key, options) {
+    return this.run('delete', key, () => (
+      this.exciter.delete(this.validKey(key), this.table, options)
+    ));
+  }
+
+  /**
+   * Queries the records of the model.
+   *
+   * @see Exciter.query
+   *
+   * @param {Object} key
+   *   An object containing the partition key and optionally the sort key or
+   *   a condition on it. See Exciter.query(). When querying an index, this
+   *   contains the keys of the index and is not validated.
+   * @param {Object} query
+   *   Query options. See Exciter.query().
+   *
+   * @return {Promise}
+   *   Resolves with the query result. Rejects with a ValidationError if the
+   *   key is invalid.
+   */
+  query(key, query) {
+    return this.run('query', key, () => {
+      const primaryKey = _.has(query, 'index') ? key : this.validKey(key, true);
+      return this.exciter.query(primaryKey, this.table, query);
+    });
+  }
+
+  /**
+   * Validates data against the attribute definitions.
+   *
+   * @param {Object} data
+   *   The data to validate.
+   * @param {Boolean} partial=false
+   *   Whether required attributes other than the primary key may be omitted.
+   *
+   * @throws {ValidationError}
+   *   Will throw an error listing every invalid attribute.
+   *
+   * @return {Object}
+   *   The data.
+   */
+  validate(data, partial) {
+    const failures = this.checkAttributes(data, Object.keys(this.attributes), name => (
+      !partial || this.keyNames().indexOf(name) !== -1
+    ));
+
+    if (!_.isEmpty(failures)) {
+      const summary = failures.map(failure => `${failure.field} ${failure.message}`).join(', ');
+      throw new errors.ValidationError(`Invalid ${this.name}: ${summary}.`, failures);
+    }
+
+    return data;
+  }
+
+  /**
+   * Validates and extracts the primary key of a record.
+   *
+   * @param {Object} data
+   *   An object containing the primary key attributes.
+   * @param {Boolean} partitionOnly=false
+   *   Whether the sort key may be omitted, as in queries. The sort key of a
+   *   query may also be a condition such as { operator: 'between', value:
+   *   [1, 5] }, in which case each of its values is checked.
+   *
+   * @throws {ValidationError}
+   *   Will throw an error if a key attribute is missing or invalid.
+   *
+   * @return {PrimaryKey}
+   *   The primary key.
+   */
+  validKey(data, partitionOnly) {
+    const sortKey = _.get(data, [this.sortKey]);
+    let keys = [data];
+    if (partitionOnly && _.isPlainObject(sortKey) && _.has(sortKey, 'value')) {
+      keys = [_.omit(data, this.sortKey)].concat(_.castArray(sortKey.value)
+        .map(value => _.assign({}, data, { [this.sortKey]: value })));
+    }
+
+    const failures = _.uniqWith(_.flatMap(keys, key => (
+      this.checkAttributes(key, this.keyNames(), name => (
+        !partitionOnly || name === this.partitionKey
+      ))
+    )), _.isEqual);
+
+    if (!_.isEmpty(failures)) {
+      const summary = failures.map(failure => `${failure.field} ${failure.message}`).join(', ');
+      throw new errors.ValidationError(`Invalid ${this.name} key: ${summary}.`, failures);
+    }
+
+    return this.primaryKey(data);
+  }
+
+  /**
+   * Extracts the primary key of a record.
+   *
+   * @param {Object} data
+   *   An object containing the primary key attributes.
+   *
+   * @return {PrimaryKey}
+   *   The primary key.
+   */
+  primaryKey(data) {
+    return _.pickBy(_.pick(data, this.keyNames()), value => !_.isNil(value));
+  }
+
+  /**
+   * Lists the names of the primary key attributes.
+   *
+   * @return {String[]}
+   *   The partition key name followed by the sort key name, if any.
+   */
+  keyNames() {
+    return _.compact([this.partitionKey, this.sortKey]);
+  }
+
+  /**
+   * Checks attributes of data against their definitions.
+   *
+   * @param {Object} data
+   *   The data to check.
+   * @param {String[]} names
+   *   The names of the attributes to check.
+   * @param {Function} isRequired
+   *   Called with the name of an attribute defined as required. Returns
+   *   whether it must be present in this case.
+   *
+   * @return {Object[]}
+   *   The failures, each containing the field and a message.
+   */
+  checkAttributes(data, names, isRequired) {
+    return names.reduce((failures, name) => {
+      const attribute = this.attributes[name];
+      const value = _.get(data, [name]);
+
+      if (_.isNil(value) || value === '') {
+        if (attribute.required && isRequired(name)) {
+          failures.push({ field: name, message: 'is required' });
+        }
+      }
+      else if (_.has(attribute, 'type') && !typeCheckers[attribute.type](value)) {
+        failures.push({ field: name, message: `must be of type ${attribute.type}` });
+      }
+
+      return failures;
+    }, []);
+  }
+
+  /**
+   * Runs an operation, handling validation failures like DynamoDB failures.
+   *
+   * @param {String} name
+   *   The name of the operation, reported on its errors.
+   * @param {Object} data
+   *   The record or key passed to the operation. Its primary key is reported
+   *   on errors.
+   * @param {Function} operation
+   *   Validates the input and returns the promise of the Exciter operation.
+   *
+   * @return {Promise}
+   *   The result of the operation.
+   */
+  run(name, data, operation) {
+    return Promise.resolve()
+      .then(operation)
+      .catch(err => this.exciter.catchHandler(err, {
+        operation: name,
+        table: this.table,
+        key: this.primaryKey(data),
+      }));
+  }
+}
+
+module.exports = Model;
@@ -0,0 +1,291 @@
+'use strict';
+
+const crypto = require('crypto');
+const _ = require('lodash');
+const errors = require('./errors');
+
+/** Class representing a set of write operations committed atomically */
+class Transaction {
+  /**
+   * Transactions should be started with Exciter.transaction() rather than
+   * constructed directly.
+   *
+   * @param {Exciter} exciter
+   *   The Exciter instance through which the transaction will be committed.
+   */
+  constructor(exciter) {
+    this.exciter = exciter;
+    this.operations = [];
+    // The items built by the first commit, which later commits resend.
+    this.transactItems = null;
+
+    // Committing the same transaction more than once reuses this token so
+    // DynamoDB can recognize the retry and avoid applying it twice.
+    this.clientRequestToken = this.constructor.generateToken();
+  }
+
+  /**
+   * Adds a create operation to the transaction.
+   *
+   * @see Exciter.create
+   *
+   * @param {Object} data
+   *   Data to store in the given DynamoDB table.
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object containing partitionKey and sortKey key/value
+   *   properties.
+   * @param {String} table
+   *   The table in which to save the document.
+   * @param {Object} options
+   *   Write options. See Exciter.put().
+   *
+   * @return {Transaction}
+   *   The transaction, for chaining.
+   */
+  create(data, primaryKey, table, options) {
+    return this.put(data, primaryKey, table, true, options);
+  }
+
+  /**
+   * Adds a put operation to the transaction.
+   *
+   * @see Exciter.put
+   *
+   * @param {Object} data
+   *   Data to store in the given DynamoDB table.
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object containing partitionKey and sortKey key/value
+   *   properties.
+   * @param {String} table
+   *   The table in which to save the document.
+   * @param {Boolean} createOnly
+   *   Whether the operation should succeed if a record with the same partition
+   *   key value exists.
+   * @param {Object} options
+   *   Write options. See Exciter.put().
+   *
+   * @return {Transaction}
+   *   The transaction, for chaining.
+   */
+  put(data, primaryKey, table, createOnly, options) {
+    // Timestamped records are put with an update. See Exciter.put().
+    const updating = this.exciter.constructor.isUpdatingPut(
+      createOnly,
+      this.exciter.tableOptions(table, options)
+    );
+
+    return this.addOperation(updating ? 'Update' : 'Put', primaryKey, table, exciter => (
+      exciter.constructor.buildPutParams(
+        data,
+        primaryKey,
+        table,
+        createOnly,
+        exciter.tableOptions(table, options)
+      )
+    ));
+  }
+
+  /**
+   * Adds a patch operation to the transaction.
+   *
+   * @see Exciter.patch
+   *
+   * @param {Object} data
+   *   Data to store in the given DynamoDB table.
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object containing partitionKey and sortKey key/value
+   *   properties.
+   * @param {String} table
+   *   The table in which to save the document.
+   * @param {Object} options
+   *   Write options. See Exciter.patch().
+   *
+   * @return {Transaction}
+   *   The transaction, for chaining.
+   */
+  patch(data, primaryKey, table, options) {
+    return this.addOperation('Update', primaryKey, table, exciter => (
+      exciter.constructor.buildPatchParams(
+        data,
+        primaryKey,
+        table,
+        exciter.tableOptions(table, options)
+      )
+    ));
+  }
+
+  /**
+   * Adds a delete operation to the transaction.
+   *
+   * @see Exciter.delete
+   *
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object containing key value pairs for the DynamoDB
+   *   partitionKey and sortKey.
+   * @param {String} table
+   *   The table from which to delete the document.
+   * @param {Object} options
+   *   Write options. See Exciter.delete().
+   *
+   * @return {Transaction}
+   *   The transaction, for chaining.
+   */
+  delete(primaryKey, table, options) {
+    return this.addOperation('Delete', primaryKey, table, exciter => (
+      exciter.constructor.buildDeleteParams(primaryKey, table, exciter.tableOptions(table, options))
+    ));
+  }
+
+  /**
+   * Adds a condition check to the transaction. The transaction is canceled if
+   * the document does not satisfy the conditions.
+   *
+   * @param {PrimaryKey} primaryKey
+   *   A {@link PrimaryKey} object identifying the document to check.
+   * @param {String} table
+   *   The table containing the document.
+   * @param {Object} conditions
+   *   The conditions the document must satisfy, in the same format as the
+   *   rawFilters accepted by Exciter.query().
+   *
+   * @return {Transaction}
+   *   The transaction, for chaining.
+   */
+  conditionCheck(primaryKey, table, conditions) {
+    return this.addOperation('ConditionCheck', primaryKey, table, exciter => (
+      exciter.constructor.buildConditionCheckParams(primaryKey, table, conditions)
+    ));
+  }
+
+  /**
+   * Adds an operation to the transaction.
+   *
+   * @param {String} type
+   *   The TransactWriteItems operation type: Put, Update, Delete or
+   *   ConditionCheck.
+   * @param {PrimaryKey} primaryKey
+   *   The primary key of the document the operation applies to.
+   * @param {String} table
+   *   The table the operation applies to.
+   * @param {Function} build
+   *   Called with the Exciter instance when the transaction is committed.
+   *   Returns the parameters for the operation.
+   *
+   * @return {Transaction}
+   *   The transaction, for chaining.
+   */
+  addOperation(type, primaryKey, table, build) {
+    this.operations.push({ type, key: primaryKey, table, build });
+
+    // DynamoDB rejects a token reused with other items, so a transaction
+    // changed after being committed needs a new one.
+    if (this.transactItems) {
+      this.transactItems = null;
+      this.clientRequestToken = this.constructor.generateToken();
+    }
+
+    return this;
+  }
+
+  /**
+   * Writes every operation in the transaction atomically.
+   *
+   * @param {Object} options
+   *   Commit options.
+   * @param {String} options.clientRequestToken
+   *   A token making the commit idempotent. Defaults to a token generated when
+   *   the transaction was started, or last changed after a commit. The
+   *   operations are built by the first commit and resent as they are by
+   *   later ones.
+   *
+   * @return {Promise}
+   *   Resolves when the transaction has been written to DynamoDB. Rejects with
+   *   a TransactionCanceledError identifying the failed operations if DynamoDB
+   *   canceled the transaction.
+   */
+  commit(options) {
+    const opts = _.defaults({}, options, { clientRequestToken: this.clientRequestToken });
+
+    return Promise.resolve()
+      .then(() => {
+        if (_.isEmpty(this.operations) || this.operations.length > 100) {
+          throw new Error(`A transaction must contain between 1 and 100 operations. It contains ${this.operations.length}.`);
+        }
+
+        // Items are only built once, since timestamps and expiries differ
+        // every time they are built and retries must send the same items.
+        this.transactItems = this.transactItems || this.operations.map(operation => ({
+          [operation.type]: operation.build(this.exciter),
+        }));
+        const params = {
+          TransactItems: this.transactItems,
+          ClientRequestToken: opts.clientRequestToken,
+        };
+
+        return this.exciter.request('transactWrite', params, 'transaction');
+      })
+      .catch((err) => {
+        if (err.code === 'TransactionCanceledException') {
+          err = this.buildCanceledError(err);
+        }
+        return this.exciter.catchHandler(err, { operation: 'transaction' });
+      });
+  }
+
+  /**
+   * Generates a client request token.
+   *
+   * @return {String}
+   *   A random token.
+   */
+  static generateToken() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Maps the cancellation reasons of a canceled transaction back to the
+   * operations which caused them.
+   *
+   * @param {Error} err
+   *   The TransactionCanceledException raised by DynamoDB.
+   *
+   * @return {TransactionCanceledError}
+   *   An error describing each operation which caused the cancellation.
+   */
+  buildCanceledError(err) {
+    let reasons = err.CancellationReasons;
+
+    // Older versions of the SDK only report the reason codes in the message.
+    if (!_.isArray(reasons)) {
+      const match = /\[(.*)\]/.exec(err.message);
+      reasons = match ? match[1].split(',').map(code => ({ Code: code.trim() })) : [];
+    }
+
+    const failures = reasons
+      .map((reason, index) => _.assign({ index }, reason))
+      .filter(reason => reason.Code !== 'None' && _.has(this.operations, reason.index))
+      .map((reason) => {
+        const operation = this.operations[reason.index];
+        return {
+          index: reason.index,
+          type: operation.type,
+          table: operation.table,
+          key: operation.key,
+          code: reason.Code,
+          message: reason.Message,
+        };
+      });
+
+    const summary = failures
+      .map(failure => `${failure.type} on ${failure.table} (${failure.code})`)
+      .join(', ');
+
+    return new errors.TransactionCanceledError(
+      `Transaction canceled: ${summary || err.message}`,
+      failures,
+      { code: err.code, cause: err }
+    );
+  }
+}
+
+module.exports = Transaction;
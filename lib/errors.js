@@ -0,0 +1,83 @@
+'use strict';
+
+const _ = require('lodash');
+
+/** Base class for errors raised by Exciter */
+class ExciterError extends Error {
+  /**
+   * Errors raised by an operation expose the "operation", "table" and "key"
+   * it was called with, where they apply.
+   *
+   * @param {String} message
+   *   A description of the error.
+   * @param {Object} [details]
+   *   Additional properties to expose on the error, such as the AWS error
+   *   which caused it as "cause".
+   */
+  constructor(message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    _.assign(this, details);
+  }
+}
+
+/** Thrown when a conditional write fails because its conditions are not met */
+class ConditionFailedError extends ExciterError {}
+
+/** Thrown when an optimistically locked record was written by someone else */
+class VersionConflictError extends ConditionFailedError {}
+
+/** Thrown when a record which must exist does not */
+class ItemNotFoundError extends ExciterError {}
+
+/** Thrown when DynamoDB throttles a request, after any retries */
+class ThrottledError extends ExciterError {}
+
+/** Thrown when DynamoDB cancels a transaction */
+class TransactionCanceledError extends ExciterError {
+  /**
+   * @param {String} message
+   *   A description of the error.
+   * @param {Object[]} reasons
+   *   The operations which caused the transaction to be canceled. Each reason
+   *   contains the index, type, table and key of the operation as well as the
+   *   code and message DynamoDB reported for it.
+   * @param {Object} [details]
+   *   Additional properties to expose on the error.
+   */
+  constructor(message, reasons, details) {
+    super(message, details);
+    this.reasons = reasons;
+  }
+}
+
+/** Thrown when a pagination cursor is forged or used with another query */
+class InvalidCursorError extends ExciterError {}
+
+/** Thrown when data does not satisfy a model definition */
+class ValidationError extends ExciterError {
+  /**
+   * @param {String} message
+   *   A description of the error.
+   * @param {Object[]} failures
+   *   The invalid fields. Each failure contains the field name and a message
+   *   describing why it is invalid.
+   * @param {Object} [details]
+   *   Additional properties to expose on the error.
+   */
+  constructor(message, failures, details) {
+    super(message, details);
+    this.failures = failures;
+  }
+}
+
+module.exports = {
+  ExciterError,
+  ConditionFailedError,
+  VersionConflictError,
+  ItemNotFoundError,
+  ThrottledError,
+  TransactionCanceledError,
+  ValidationError,
+  InvalidCursorError,
+};